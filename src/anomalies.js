@@ -0,0 +1,85 @@
+// anomalies.js — navigation patterns that usually mean a router bug rather than a user:
+// pushState to the URL already shown, A→B→A bounces, and bursts of navigations.
+// Pure functions used by background.js on the top document's state.
+
+export const ANOMALY_TYPES = ["duplicate", "oscillation", "burst"];
+
+// A change back to where the previous change came from, this soon after it
+const OSCILLATION_WINDOW_MS = 1000;
+// Bursts are measured over a sliding window of this length
+const BURST_WINDOW_MS = 1000;
+// Newest events kept per tab
+const MAX_EVENTS = 50;
+
+export function newAnomalies() {
+  return {
+    counts: { duplicate: 0, oscillation: 0, burst: 0 },
+    events: [], // [{ at, type, url, message }]
+    recent: [], // navigation times within the burst window
+    inBurst: false
+  };
+}
+
+export function reviveAnomalies(saved) {
+  const fresh = newAnomalies();
+  if (!saved || typeof saved !== "object") {
+    return fresh;
+  }
+  return {
+    counts: { ...fresh.counts, ...saved.counts },
+    events: Array.isArray(saved.events) ? saved.events : [],
+    recent: Array.isArray(saved.recent) ? saved.recent : [],
+    inBurst: saved.inBurst === true
+  };
+}
+
+function record(a, type, at, url, message) {
+  a.counts[type] += 1;
+  a.events.push({ at, type, url, message });
+  if (a.events.length > MAX_EVENTS) {
+    a.events.splice(0, a.events.length - MAX_EVENTS);
+  }
+  return type;
+}
+
+// One burst per run above the rate: it is counted when the rate is first exceeded and
+// re-armed once the window drops back to the limit.
+function checkBurst(a, at, url, burstRate) {
+  a.recent = a.recent.filter(t => at - t < BURST_WINDOW_MS);
+  a.recent.push(at);
+  if (a.recent.length <= burstRate) {
+    a.inBurst = false;
+    return null;
+  }
+  if (a.inBurst) {
+    return null;
+  }
+  a.inBurst = true;
+  return record(a, "burst", at, url, `More than ${burstRate} navigations within 1 s`);
+}
+
+// A counted change ({ at, from, to } as in the timeline) against the one before it.
+// Returns the anomaly types it triggered.
+export function checkChange(a, change, previous, { burstRate }) {
+  const found = [];
+  if (previous && previous.from === change.to && previous.to === change.from
+    && change.at - previous.at <= OSCILLATION_WINDOW_MS) {
+    found.push(record(a, "oscillation", change.at, change.to,
+      `Back to ${change.to} ${change.at - previous.at} ms after leaving it`));
+  }
+  const burst = checkBurst(a, change.at, change.to, burstRate);
+  if (burst) {
+    found.push(burst);
+  }
+  return found;
+}
+
+// pushState to the URL already shown: not a change, but still a navigation for bursts.
+export function checkDuplicatePush(a, at, url, { burstRate }) {
+  const found = [record(a, "duplicate", at, url, "pushState to the current URL")];
+  const burst = checkBurst(a, at, url, burstRate);
+  if (burst) {
+    found.push(burst);
+  }
+  return found;
+}
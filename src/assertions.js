@@ -0,0 +1,139 @@
+// assertions.js — scripted test sessions: a JSON spec of expected counts for a flow,
+// checked against a tab's live counters. Shared by background.js (arming, evaluation)
+// and sidebar.js (loading and validating the spec).
+//
+// {
+//   "name": "Checkout",
+//   "start": "/checkout",             // optional: counting starts when the tab reaches this path
+//   "end": "/checkout/done",          // optional: results are frozen shortly after this path
+//   "expect": {
+//     "totals.spa": 3,                // exactly 3
+//     "totals.full": { "max": 0 },
+//     "ids.canonical": { "min": "dims.route" }  // bounds may name another counter
+//   }
+// }
+//
+// Counters are "<group>.<key>" paths into the tab's counts (totals, dims, ids, transitions,
+// history, redirects) plus "anomalies.<type>". start / end use the route pattern syntax.
+
+import { compilePattern } from "./routes.js";
+
+export const SESSION_OPS = ["equals", "min", "max"];
+
+const COUNTER_RE = /^[a-z]+\.[A-Za-z_]+$/;
+
+function checkPattern(value, field, errors) {
+  if (value === undefined || value === null || value === "") {
+    return "";
+  }
+  if (typeof value !== "string") {
+    errors.push(`"${field}" must be a path pattern string`);
+    return "";
+  }
+  const { error } = compilePattern(value);
+  if (error) {
+    errors.push(`"${field}": ${error}`);
+    return "";
+  }
+  return value;
+}
+
+function checkBound(value, where, errors) {
+  if (Number.isFinite(value) && value >= 0) {
+    return Math.round(value);
+  }
+  if (typeof value === "string" && COUNTER_RE.test(value)) {
+    return value;
+  }
+  errors.push(`${where} must be a count or a counter path`);
+  return null;
+}
+
+// Returns { spec, errors }; spec is null when there are errors.
+export function sanitizeSessionSpec(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { spec: null, errors: ["The spec must be a JSON object"] };
+  }
+
+  const expect = [];
+  const entries = raw.expect && typeof raw.expect === "object" && !Array.isArray(raw.expect)
+    ? Object.entries(raw.expect)
+    : [];
+  for (const [counter, rule] of entries) {
+    if (!COUNTER_RE.test(counter)) {
+      errors.push(`"${counter}" is not a counter path like "totals.spa"`);
+      continue;
+    }
+    if (typeof rule === "number") {
+      const value = checkBound(rule, `"${counter}"`, errors);
+      if (value !== null) {
+        expect.push({ counter, op: "equals", value });
+      }
+      continue;
+    }
+    const ops = rule && typeof rule === "object" ? SESSION_OPS.filter(op => op in rule) : [];
+    if (!ops.length) {
+      errors.push(`"${counter}" needs a count, or an object with equals / min / max`);
+      continue;
+    }
+    for (const op of ops) {
+      const value = checkBound(rule[op], `"${counter}".${op}`, errors);
+      if (value !== null) {
+        expect.push({ counter, op, value });
+      }
+    }
+  }
+  if (!entries.length) {
+    errors.push("\"expect\" must list at least one counter");
+  }
+
+  const spec = {
+    name: typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : "Session",
+    start: checkPattern(raw.start, "start", errors),
+    end: checkPattern(raw.end, "end", errors),
+    expect
+  };
+  return errors.length ? { spec: null, errors } : { spec, errors };
+}
+
+export function parseSessionSpec(text) {
+  let raw;
+  try {
+    raw = JSON.parse(String(text || ""));
+  } catch (e) {
+    return { spec: null, errors: [`Not valid JSON: ${e.message}`] };
+  }
+  return sanitizeSessionSpec(raw);
+}
+
+// Whether a URL's path matches a start / end pattern.
+export function pathMatches(pattern, url) {
+  const { regex } = compilePattern(pattern);
+  try {
+    return !!regex && regex.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+function counterValue(counters, path) {
+  const [group, key] = path.split(".");
+  const v = counters?.[group]?.[key];
+  return Number.isFinite(v) ? v : null;
+}
+
+// One result per expectation: { counter, op, expected, expectedFrom, actual, pass }.
+// An unknown counter has actual (or expected) null and fails.
+export function evaluateSession(spec, counters) {
+  return (spec?.expect || []).map(({ counter, op, value }) => {
+    const actual = counterValue(counters, counter);
+    const expectedFrom = typeof value === "string" ? value : null;
+    const expected = expectedFrom ? counterValue(counters, expectedFrom) : value;
+    let pass = actual !== null && expected !== null;
+    if (pass) {
+      pass = op === "min" ? actual >= expected : op === "max" ? actual <= expected : actual === expected;
+    }
+    return { counter, op, expected, expectedFrom, actual, pass };
+  });
+}
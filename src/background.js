@@ -1,18 +1,37 @@
 // background.js — Firefox MV3
-// - Optional host permissions (requested/revoked by the sidebar UI)
-// - No storage: tracking state == host permission for the origin
+// - Optional host permissions (requested/revoked by the sidebar UI and the granted origins page)
+// - Tab state persisted to storage.session (+ tab values for restored tabs);
+//   per-origin settings in storage.local, including the tracking state (on/paused/off),
+//   which is kept apart from the host permission grant
+// - Follows permission grants/revocations made outside the extension UI
 // - Secure messaging with per-tab nonce
 // - Programmatic ids.js injection
-// - Baseline on tab focus; count URL changes only when permission exists
+// - Baseline on tab focus; count URL changes only when tracking is on and permission exists
+// - Records navigation sessions and replays them into a fresh tab
+// - Named checkpoints of a tab's counts, ids and timeline to compare against later
 
-const { action, runtime, tabs, webNavigation, scripting, permissions } = browser;
+import { NORMALIZE_RULES_KEY, normalizeUrl, sanitizeRules } from "./normalize.js";
+import { ROUTE_RULES_KEY, classifyRoute, sanitizeRouteRules } from "./routes.js";
+import { defaultPrefs, loadPrefs, watchPrefs } from "./prefs.js";
+import { runChecks } from "./checks.js";
+import { checkChange, checkDuplicatePush, newAnomalies, reviveAnomalies } from "./anomalies.js";
+import { evaluateSession, pathMatches, sanitizeSessionSpec } from "./assertions.js";
+import { NAV_TIMINGS_KEY, TIMING_KINDS, addTimingSample, summarizeTimings } from "./timing.js";
+import { CHECKPOINTS_KEY, MAX_CHECKPOINTS, isCheckpoint, newCheckpoint } from "./checkpoints.js";
+import { MAX_RECORDINGS, RECORDINGS_KEY, addStep, diffRecordings, finishRecording, foldSegment, isRecording, newRecording, noteIds, replayOp } from "./recordings.js";
+import { ORIGIN_GROUPS_KEY, memberPattern, originOfPattern, patternCovers, sameScope, sanitizeGroups, scopeOf } from "./groups.js";
 
-/* --------------------------- State (memory only) --------------------------- */
+const { action, runtime, tabs, webNavigation, webRequest, scripting, permissions, storage, sessions } = browser;
+
+/* --------------------------- State --------------------------- */
 
 const CORE_PROTOCOLS = new Set(["http:", "https:", "file:"]);
 
-// Per-tab state for counts + identifiers
-const tabState = new Map(); // Map<tabId, { lastUrl, origin, hasBaseline, suppressNextIdIncrements, counts, ids }>
+// Per-tab state for counts + identifiers + timeline of counted changes
+const tabState = new Map(); // Map<tabId, { lastUrl, origin, hasBaseline, suppressNextIdIncrements, counts, ids, timeline }>
+
+// Upper bound on timeline entries kept per tab (oldest are dropped first)
+const MAX_TIMELINE = 500;
 
 // Tabs we injected ids.js into (used for message authentication)
 const injectedTabs = new Set(); // Set<tabId>
@@ -20,33 +39,105 @@ const injectedTabs = new Set(); // Set<tabId>
 // Per-tab nonce shared with ids.js to authenticate messages
 const tabNonce = new Map(); // Map<tabId, string>
 
+// Extension-wide preferences (options page); defaults until hydrate() loads them
+let prefs = defaultPrefs();
+
 // Per-tab debounce timers for metadata probes
 const probeTimers = new Map(); // Map<tabId, number>
 
+// Navigation details not yet matched to a counted change
+// (keyed by tabId for the top document, "tabId|frameId|origin" for tracked frames)
+const pendingDetails = new Map(); // Map<tabId | string, Array<{ url, at, transition?, historyOp?, redirects? }>>
+
+// Per-origin settings, mirrored to storage.local
+const originSettings = new Map(); // Map<origin, { lastSeen, tracking, ... }>
+
+// Per-origin URL normalization rules, owned by the options page (read-only here)
+const normalizeRules = new Map(); // Map<origin, rules>
+
+// Per-origin route templates, owned by the options page (read-only here)
+const routeRules = new Map(); // Map<origin, { auto, patterns }>
+
+// Origin groups tracked as one scope (see groups.js), owned by the options page (read-only here)
+let originGroups = []; // [{ name, members }]
+
+// Per-origin roll-up of finished tab segments (baseline → reset/close), mirrored to storage.local
+const originStats = new Map(); // Map<origin, { views, counts, paths, updatedAt }>
+
+// Per-origin navigation timing samples by route and kind (see timing.js), mirrored to storage.local
+const navTimings = new Map(); // Map<origin, { [route]: { [kind]: number[], updatedAt } }>
+
+// Saved navigation recordings (see Recordings)
+const recordings = new Map(); // Map<id, saved recording>
+
+// Named snapshots of a tab's state (see Checkpoints)
+const checkpoints = new Map(); // Map<id, checkpoint>
+
 /* --------------------------- Helpers & utilities --------------------------- */
 
+// Document-identity signals reported by ids.js, each with its own change counter
+const ID_KEYS = ["canonical", "ogUrl", "jsonLdId", "twitterUrl", "hreflang", "ampUrl", "shortlink", "itemId", "baseHref", "title"];
+
+function newIds() {
+  return Object.fromEntries(ID_KEYS.map(k => [k, ""]));
+}
+
 function newCounts() {
   return {
-    totals: { all: 0, full: 0, spa: 0 },
-    dims:   { path: 0, query: 0, fragment: 0 },
-    ids:    { canonical: 0, ogUrl: 0, jsonLdId: 0 }
+    totals: { all: 0, full: 0, spa: 0, hash: 0 },
+    dims:   { path: 0, query: 0, fragment: 0, route: 0, redirect: 0 },
+    ids:    Object.fromEntries(ID_KEYS.map(k => [k, 0])),
+    // Full navigations by webNavigation transition (reloads count here without a URL change)
+    transitions: { link: 0, typed: 0, reload: 0, forward_back: 0, form_submit: 0, other: 0 },
+    // History API changes by the call ids.js saw in the page
+    history: { push: 0, replace: 0, pop: 0 },
+    // Redirect hops full navigations went through, by kind
+    redirects: { server: 0, client: 0 }
+  };
+}
+
+function newAuthored() {
+  return { canonicalAttr: "", canonicalCount: 0 };
+}
+
+function newTabState() {
+  return {
+    lastUrl: null,
+    origin: null,
+    hasBaseline: false,
+    suppressNextIdIncrements: false,
+    counts: newCounts(),
+    ids: newIds(),
+    timeline: [],
+    route: "", // route template of lastUrl (see routes.js)
+    entities: [], // JSON-LD nodes [{ key, type, id, url, mainEntityOfPage }]
+    entityCounts: {}, // Map-like { [entity key]: changes since baseline }
+    idLags: {}, // { [id key]: { last, max, total, samples } } ms from URL change to observed metadata change
+    authored: newAuthored(), // canonical as written in the page (see checks.js)
+    idsUrl: null, // lastUrl when ids were last reported; consistency checks wait for it to catch up
+    segmentStart: null, // set when a tracked baseline starts a segment for origin stats
+    segmentNew: false, // the segment began on a new document or origin (see segmentIsView)
+    frames: {}, // { [frameId|origin]: frame state } when frame tracking is on (see Frame tracking)
+    anomalies: newAnomalies(), // same-URL pushes, A→B→A bounces and bursts (see anomalies.js)
+    session: null, // armed test session (see Test sessions)
+    recording: null, // recording in progress (see recordings.js)
+    replay: null // { recordingId, name, state, step, total, diff } on a tab a recording was replayed into
   };
 }
 
 function getState(tabId) {
   if (!tabState.has(tabId)) {
-    tabState.set(tabId, {
-      lastUrl: null,
-      origin: null,
-      hasBaseline: false,
-      suppressNextIdIncrements: false,
-      counts: newCounts(),
-      ids: { canonical: "", ogUrl: "", jsonLdId: "" }
-    });
+    tabState.set(tabId, newTabState());
   }
   return tabState.get(tabId);
 }
 
+// Store the tab's state and schedule it to be written out.
+function commitState(tabId, s) {
+  tabState.set(tabId, s);
+  schedulePersist(tabId);
+}
+
 function toURL(u) {
   try {
     return new URL(u);
@@ -67,6 +158,13 @@ function originOf(u) {
   return `${u.protocol}//${u.host}`;
 }
 
+// Route template for a URL, classified on its normalized path.
+function routeOf(u, origin) {
+  const rules = normalizeRules.get(origin);
+  const path = (rules ? normalizeUrl(u, rules) : u).pathname;
+  return classifyRoute(path, routeRules.get(origin));
+}
+
 function isMainFrame(d) {
   return d?.frameId === 0;
 }
@@ -111,7 +209,7 @@ function extURLPrefix() {
   return runtime.getURL(""); // moz-extension://<uuid>/
 }
 
-function debounced(key, fn, delay = 150) {
+function debounced(key, fn, delay = prefs.probeDelayMs) {
   const prev = probeTimers.get(key);
   if (prev) {
     clearTimeout(prev);
@@ -120,6 +218,238 @@ function debounced(key, fn, delay = 150) {
   probeTimers.set(key, id);
 }
 
+/* --------------------------- Persistence --------------------------- */
+
+// storage.session survives background restarts; tab values (sessions API) follow
+// a tab through browser restarts and undo-close, where it comes back with a new id.
+const SESSION_TABS_KEY = "tabs"; // storage.session: { [tabId]: { state, nonce, injected } }
+const TAB_VALUE_KEY = "url-change-state"; // sessions tab value: state only
+const ORIGIN_SETTINGS_KEY = "originSettings"; // storage.local: { [origin]: settings }
+const ORIGIN_STATS_KEY = "originStats"; // storage.local: { [origin]: stats }
+
+const persistTimers = new Map(); // Map<tabId, number>
+const localWriteTimers = new Map(); // Map<storage.local key, number>
+
+// Merge a stored state over fresh defaults so fields added later are always present.
+function reviveState(saved) {
+  const s = { ...newTabState(), ...saved };
+  const fresh = newCounts();
+  for (const group of Object.keys(fresh)) {
+    fresh[group] = { ...fresh[group], ...saved?.counts?.[group] };
+  }
+  s.counts = fresh;
+  s.ids = { ...newIds(), ...saved?.ids };
+  s.timeline = Array.isArray(saved?.timeline) ? saved.timeline : [];
+  s.entities = Array.isArray(saved?.entities) ? saved.entities : [];
+  s.entityCounts = saved?.entityCounts && typeof saved.entityCounts === "object" ? saved.entityCounts : {};
+  s.idLags = saved?.idLags && typeof saved.idLags === "object" ? saved.idLags : {};
+  s.authored = { ...newAuthored(), ...saved?.authored };
+  s.frames = reviveFrames(saved?.frames);
+  s.anomalies = reviveAnomalies(saved?.anomalies);
+  // Nothing drives a replay across a background restart; its partial recording is dropped
+  if (["loading", "running"].includes(s.replay?.state)) {
+    s.replay = { ...s.replay, state: "interrupted" };
+    s.recording = null;
+  }
+  return s;
+}
+
+function schedulePersist(tabId, delay = 250) {
+  const prev = persistTimers.get(tabId);
+  if (prev) {
+    clearTimeout(prev);
+  }
+  persistTimers.set(tabId, setTimeout(() => persistTab(tabId), delay));
+}
+
+async function persistTab(tabId) {
+  persistTimers.delete(tabId);
+  const s = tabState.get(tabId);
+  if (s) {
+    try {
+      await sessions.setTabValue(tabId, TAB_VALUE_KEY, s);
+    } catch {
+      // ignore (tab gone or not restorable)
+    }
+  }
+  await writeSessionTabs();
+}
+
+async function writeSessionTabs() {
+  const out = {};
+  for (const [tabId, s] of tabState) {
+    out[tabId] = { state: s, nonce: tabNonce.get(tabId) || null, injected: injectedTabs.has(tabId) };
+  }
+  try {
+    await storage.session.set({ [SESSION_TABS_KEY]: out });
+  } catch {
+    // ignore
+  }
+}
+
+// Pick up state saved on a tab that was restored under a new id.
+async function restoreFromTabValue(tabId) {
+  try {
+    const saved = await sessions.getTabValue(tabId, TAB_VALUE_KEY);
+    if (saved && typeof saved === "object") {
+      tabState.set(tabId, reviveState(saved));
+      return true;
+    }
+  } catch {
+    // ignore
+  }
+  return false;
+}
+
+function getOriginSettings(origin) {
+  return originSettings.get(origin) || {};
+}
+
+function updateOriginSettings(origin, patch) {
+  if (!origin) {
+    return;
+  }
+  originSettings.set(origin, { ...getOriginSettings(origin), ...patch });
+  scheduleLocalWrite(ORIGIN_SETTINGS_KEY, originSettings);
+}
+
+// Tracking state per scope, stored apart from the host permission grant: "on" counts
+// (and needs the permission), "paused" keeps the permission but stops counting, "off"
+// (the default for origins never turned on) is not tracked. A scope is an origin, or an
+// origin group whose state is stored under "group:<name>".
+const TRACKING_STATES = new Set(["on", "paused", "off"]);
+
+function storedTrackingState(origin) {
+  return getOriginSettings(scopeOf(originGroups, origin).key).tracking;
+}
+
+function trackingStateOf(origin) {
+  const t = storedTrackingState(origin);
+  return TRACKING_STATES.has(t) ? t : "off";
+}
+
+async function isTracked(origin) {
+  return !!origin && trackingStateOf(origin) === "on" && await hasHostPerm(origin);
+}
+
+// Tracking used to mean "holds the permission". Origins tracked back then have lastSeen;
+// those still granted stay on.
+async function migrateTrackingStates() {
+  for (const [origin, settings] of originSettings) {
+    if (!settings.tracking && settings.lastSeen) {
+      updateOriginSettings(origin, { tracking: (await hasHostPerm(origin)) ? "on" : "off" });
+    }
+  }
+}
+
+// Debounced write of a whole Map<origin, …> to storage.local under key.
+function scheduleLocalWrite(key, map, delay = 250) {
+  const prev = localWriteTimers.get(key);
+  if (prev) {
+    clearTimeout(prev);
+  }
+  localWriteTimers.set(key, setTimeout(async () => {
+    localWriteTimers.delete(key);
+    try {
+      await storage.local.set({ [key]: Object.fromEntries(map) });
+    } catch {
+      // ignore
+    }
+  }, delay));
+}
+
+async function loadLocalMap(key, map) {
+  try {
+    const stored = (await storage.local.get(key))[key] || {};
+    for (const [k, v] of Object.entries(stored)) {
+      map.set(k, v);
+    }
+  } catch {
+    // ignore
+  }
+}
+
+async function loadNormalizeRules() {
+  const raw = new Map();
+  await loadLocalMap(NORMALIZE_RULES_KEY, raw);
+  normalizeRules.clear();
+  for (const [origin, rules] of raw) {
+    normalizeRules.set(origin, sanitizeRules(rules));
+  }
+}
+
+async function loadOriginGroups() {
+  try {
+    originGroups = sanitizeGroups((await storage.local.get(ORIGIN_GROUPS_KEY))[ORIGIN_GROUPS_KEY]);
+  } catch {
+    originGroups = [];
+  }
+}
+
+async function loadRouteRules() {
+  const raw = new Map();
+  await loadLocalMap(ROUTE_RULES_KEY, raw);
+  routeRules.clear();
+  for (const [origin, rules] of raw) {
+    routeRules.set(origin, sanitizeRouteRules(rules));
+  }
+}
+
+async function hydrate() {
+  let saved = {};
+  try {
+    saved = (await storage.session.get(SESSION_TABS_KEY))[SESSION_TABS_KEY] || {};
+  } catch {
+    // ignore
+  }
+
+  await loadLocalMap(ORIGIN_SETTINGS_KEY, originSettings);
+  await migrateTrackingStates();
+  await loadLocalMap(ORIGIN_STATS_KEY, originStats);
+  await loadLocalMap(NAV_TIMINGS_KEY, navTimings);
+  await loadRecordings();
+  await loadCheckpoints();
+  await loadNormalizeRules();
+  await loadRouteRules();
+  await loadOriginGroups();
+  prefs = await loadPrefs();
+
+  let open = [];
+  try {
+    open = await tabs.query({});
+  } catch {
+    // ignore
+  }
+
+  for (const tab of open) {
+    const entry = saved[tab.id];
+    if (entry?.state) {
+      // Same tab id: the background restarted but the tab (and its content script) lived on
+      tabState.set(tab.id, reviveState(entry.state));
+      if (typeof entry.nonce === "string") {
+        tabNonce.set(tab.id, entry.nonce);
+      }
+      if (entry.injected) {
+        injectedTabs.add(tab.id);
+      }
+      continue;
+    }
+    // New id: the tab was restored; its content script is gone, so only state comes back
+    await restoreFromTabValue(tab.id);
+  }
+
+  // Tabs that closed while we were not running still finish their segment
+  const openIds = new Set(open.map(t => String(t.id)));
+  for (const [id, entry] of Object.entries(saved)) {
+    if (!openIds.has(id) && entry?.state) {
+      rollupSegment(reviveState(entry.state));
+    }
+  }
+
+  // Drops entries for tabs that closed while we were not running
+  await writeSessionTabs();
+}
+
 /* --------------------------- Programmatic injection --------------------------- */
 
 function makeNonce() {
@@ -138,14 +468,15 @@ async function ensureInjectedWithNonce(tabId) {
     const u = new URL(tab.url);
     const origin = `${u.protocol}//${u.host}`;
 
-    // Only inject if host permission exists
-    if (!(await hasHostPerm(origin))) {
+    // Only inject while the origin is tracked (which implies host permission)
+    if (!(await isTracked(origin))) {
       return;
     }
 
     // Execute ids.js (no-op if already loaded; that's fine)
+    // Subframes too when frame tracking is on, so their History API calls label frame changes
     await scripting.executeScript({
-      target: { tabId, allFrames: false },
+      target: { tabId, allFrames: prefs.trackFrames },
       files: ["ids.js"]
     }).catch(() => {});
 
@@ -155,10 +486,13 @@ async function ensureInjectedWithNonce(tabId) {
     }
     const nonce = tabNonce.get(tabId);
 
-    // Send init message to content with the nonce
-    await tabs.sendMessage(tabId, { type: "init-probe", nonce }).catch(() => {});
+    // Send init message to content with the nonce; also switches live observation on/off
+    await tabs.sendMessage(tabId, {
+      type: "init-probe", nonce, observe: prefs.observeMetadata, timing: prefs.measureTiming
+    }).catch(() => {});
 
     injectedTabs.add(tabId);
+    schedulePersist(tabId);
   } catch {
     // ignore
   }
@@ -167,7 +501,7 @@ async function ensureInjectedWithNonce(tabId) {
 async function refreshPageIds(tabId) {
   await ensureInjectedWithNonce(tabId);
   try {
-    await tabs.sendMessage(tabId, { type: "probe-ids" });
+    await tabs.sendMessage(tabId, { type: "probe-ids" }, { frameId: 0 });
   } catch {
     // ignore (no script/page)
   }
@@ -197,8 +531,52 @@ async function snapshotForWithLiveUrl(tabId) {
     }
   }
 
-  const trackingEnabled = await hasHostPerm(origin);
-  return { tabId, url, origin, counts: s.counts, ids: s.ids, trackingEnabled };
+  const trackingState = trackingStateOf(origin);
+  const hasPermission = await hasHostPerm(origin);
+  const trackingEnabled = trackingState === "on" && hasPermission;
+  // Paused origins keep showing what was counted before the pause
+  const stats = trackingState !== "off" && hasPermission ? originStatsFor(origin) : null;
+  const timing = stats ? summarizeTimings(navTimings.get(origin), s.route) : null;
+  const warnings = trackingEnabled ? warningsFor(s) : [];
+  return {
+    tabId, url, origin, route: s.route, counts: s.counts, ids: s.ids,
+    entities: s.entities, entityCounts: s.entityCounts, idLags: s.idLags, warnings,
+    timeline: s.timeline, frames: frameSnapshots(s), originStats: stats, timing,
+    anomalies: { counts: s.anomalies.counts, events: s.anomalies.events },
+    session: sessionSnapshot(tabId, s),
+    recording: s.recording ? { name: s.recording.name, startedAt: s.recording.startedAt, steps: s.recording.steps.length } : null,
+    replay: s.replay,
+    trackingEnabled, trackingState, hasPermission, scope: origin ? scopeOf(originGroups, origin) : null
+  };
+}
+
+// Every tab we hold state for whose origin is currently tracked (dashboard view).
+async function trackedTabSnapshots() {
+  let open = [];
+  try {
+    open = await tabs.query({});
+  } catch {
+    // ignore
+  }
+  const out = [];
+  for (const tab of open) {
+    if (!tabState.has(tab.id)) {
+      continue;
+    }
+    const snap = await snapshotForWithLiveUrl(tab.id);
+    if (!snap.trackingEnabled) {
+      continue;
+    }
+    const { timeline, ...rest } = snap;
+    out.push({
+      ...rest,
+      changes: timeline.length,
+      title: tab.title || "",
+      windowId: tab.windowId,
+      active: !!tab.active
+    });
+  }
+  return out;
 }
 
 async function broadcast(tabId) {
@@ -210,28 +588,118 @@ async function broadcast(tabId) {
   }
 }
 
+// Consistency warnings take over the badge: "⚠2" on a red background, counts in the tooltip.
+const WARNING_BADGE_COLOR = "#d70022";
+
 async function updateBadge(tabId) {
   const snap = await snapshotForWithLiveUrl(tabId);
-  const txt = (snap.trackingEnabled && snap.counts.totals.all) ? String(snap.counts.totals.all) : "";
+  const total = snap.trackingEnabled ? snap.counts.totals.all : 0;
+  const warnings = snap.warnings.length;
+  const txt = warnings ? `⚠${warnings}` : (total ? String(total) : "");
+  const title = snap.trackingEnabled
+    ? `URL Change Counters — ${total} changes, ${warnings} warnings`
+    : "URL Change Counters";
   try {
     await action.setBadgeText({ tabId, text: txt });
-    await action.setBadgeBackgroundColor?.({ tabId, color: "#444" });
+    await action.setBadgeBackgroundColor?.({ tabId, color: warnings ? WARNING_BADGE_COLOR : prefs.badgeColor });
+    await action.setTitle({ tabId, title });
   } catch {
     // ignore
   }
 }
 
+/* --------------------------- Consistency checks --------------------------- */
+
+// Rules live in checks.js. Nothing is checked until ids.js has reported for the current URL,
+// so the gap between a URL change and its probe doesn't flash warnings.
+function warningsFor(s) {
+  if (!s.lastUrl || s.idsUrl !== s.lastUrl) {
+    return [];
+  }
+  const entry = s.timeline[s.timeline.length - 1];
+  const rules = normalizeRules.get(s.origin);
+  return runChecks({
+    url: s.lastUrl,
+    ids: s.ids,
+    authored: s.authored,
+    previousUrl: entry && entry.to === s.lastUrl ? entry.from : "",
+    normalize: rules ? u => normalizeUrl(u, rules) : null
+  });
+}
+
 /* --------------------------- Metadata integration --------------------------- */
 
+/* ---- JSON-LD entities ---- */
+
+const MAX_ENTITIES = 50;
+const MAX_ENTITY_FIELD = 2000;
+
+// Validate what ids.js sent and key each node by type + occurrence ("Product#2"),
+// so "the same entity" can be followed across probes even when its @id changes.
+function sanitizeEntities(raw) {
+  if (!Array.isArray(raw)) {
+    return [];
+  }
+  const str = v => (typeof v === "string" ? v.slice(0, MAX_ENTITY_FIELD) : "");
+  const seen = new Map();
+  return raw.slice(0, MAX_ENTITIES).filter(e => e && typeof e === "object").map((e) => {
+    const type = str(e.type) || "(untyped)";
+    const n = (seen.get(type) || 0) + 1;
+    seen.set(type, n);
+    return { key: `${type}#${n}`, type, id: str(e.id), url: str(e.url), mainEntityOfPage: str(e.mainEntityOfPage) };
+  });
+}
+
+function entityValue(e) {
+  return `${e.id}\n${e.url}\n${e.mainEntityOfPage}`;
+}
+
+// Returns true if the entity list changed. New or changed entities count; vanished ones don't.
+function integrateEntities(s, incoming, countable) {
+  const next = sanitizeEntities(incoming);
+  const prev = new Map(s.entities.map(e => [e.key, entityValue(e)]));
+  let changed = next.length !== s.entities.length;
+  for (const e of next) {
+    if (prev.get(e.key) === entityValue(e)) {
+      continue;
+    }
+    changed = true;
+    if (countable) {
+      s.entityCounts[e.key] = (s.entityCounts[e.key] || 0) + 1;
+    }
+  }
+  s.entities = next;
+  return changed;
+}
+
+// Lag is signed: negative when the page updated its metadata before changing the URL.
+function recordIdLags(s, keys, lag) {
+  const entry = s.timeline[s.timeline.length - 1];
+  for (const key of keys) {
+    const prev = s.idLags[key] || { last: 0, max: 0, total: 0, samples: 0 };
+    s.idLags[key] = {
+      last: lag,
+      max: prev.samples ? Math.max(prev.max, lag) : lag,
+      total: prev.total + lag,
+      samples: prev.samples + 1
+    };
+    if (entry && entry.to === s.lastUrl) {
+      entry.idLags = { ...entry.idLags, [key]: lag };
+    }
+  }
+}
+
 function integratePageIds(tabId, incoming) {
   const s = getState(tabId);
   const suppress = s.suppressNextIdIncrements;
-  const { canonical = "", ogUrl = "", jsonLdId = "" } = incoming || {};
 
   let idsChanged = false;
+  const counted = [];
 
+  // An empty string means the page no longer has it (e.g. a canonical removed on a route
+  // change) and clears the id; a key that wasn't reported at all leaves it alone
   const consider = (key, val) => {
-    if (!val) {
+    if (typeof val !== "string") {
       return;
     }
     const prev = s.ids[key] || "";
@@ -242,114 +710,749 @@ function integratePageIds(tabId, incoming) {
     s.ids[key] = val;
     if (changed && s.hasBaseline && !suppress) {
       s.counts.ids[key] += 1;
+      counted.push(key);
     }
   };
 
-  consider("canonical", canonical);
-  consider("ogUrl", ogUrl);
-  consider("jsonLdId", jsonLdId);
+  for (const key of ID_KEYS) {
+    consider(key, incoming?.[key]);
+  }
+
+  if (Array.isArray(incoming?.entities) && integrateEntities(s, incoming.entities, s.hasBaseline && !suppress)) {
+    idsChanged = true;
+  }
+
+  // Only the live observer knows when the DOM actually changed; probes would just measure probe delay
+  const lag = Number(incoming?.sinceUrlChangeMs);
+  if (incoming?.reason === "mutation" && incoming?.sinceUrlChangeMs != null && Number.isFinite(lag)) {
+    recordIdLags(s, counted, Math.round(lag));
+  }
+
+  const authored = incoming?.authored;
+  if (authored && typeof authored === "object") {
+    s.authored = {
+      canonicalAttr: typeof authored.canonicalAttr === "string" ? authored.canonicalAttr.slice(0, MAX_ENTITY_FIELD) : "",
+      canonicalCount: Math.max(0, Math.round(Number(authored.canonicalCount)) || 0)
+    };
+  }
+
+  if (s.recording) {
+    noteIds(s.recording, s.lastUrl, s.ids);
+  }
+
+  // First report for this URL: the consistency checks can run now even if nothing changed
+  const checksReady = s.idsUrl !== s.lastUrl;
+  s.idsUrl = s.lastUrl;
 
   if (suppress) {
     s.suppressNextIdIncrements = false;
   }
 
-  tabState.set(tabId, s);
-  return { idsChanged };
+  commitState(tabId, s);
+  return { idsChanged, checksReady };
 }
 
-/* --------------------------- Baseline / reset flow --------------------------- */
+/* --------------------------- Origin statistics --------------------------- */
 
-async function baselineTab(tabId) {
-  const s = getState(tabId);
+// A "view" is one tracked segment of a tab: from a baseline until the next
+// baseline, tracking turned off, or the tab closing.
+const MAX_STATS_PATHS = 200;
 
-  // Grab live URL
-  let liveUrl = "";
-  try {
-    const tab = await tabs.get(tabId);
-    liveUrl = tab?.url || "";
-  } catch {
-    // ignore
-  }
+function newOriginStats() {
+  return { views: 0, counts: newCounts(), paths: {}, updatedAt: 0 };
+}
 
-  if (!liveUrl || !isCoreProtocol(liveUrl)) {
-    s.lastUrl = null;
-    s.origin = null;
-    s.hasBaseline = false;
-    s.counts = newCounts();
-    s.ids = { canonical: "", ogUrl: "", jsonLdId: "" };
-    tabState.set(tabId, s);
-    await broadcast(tabId);
-    await updateBadge(tabId);
-    return;
+function addCounts(target, src) {
+  for (const [group, values] of Object.entries(src || {})) {
+    if (!target[group]) {
+      continue;
+    }
+    for (const [k, v] of Object.entries(values || {})) {
+      target[group][k] = (target[group][k] || 0) + (Number(v) || 0);
+    }
   }
+}
 
-  const u = new URL(liveUrl);
-  s.lastUrl = liveUrl;
-  s.origin = `${u.protocol}//${u.host}`;
-  s.hasBaseline = true;
-  s.counts = newCounts();
-  s.ids = { canonical: "", ogUrl: "", jsonLdId: "" };
-  s.suppressNextIdIncrements = true; // first metadata snapshot is baseline
-  tabState.set(tabId, s);
+function pathOf(url) {
+  return toURL(url)?.pathname || "";
+}
 
-  await broadcast(tabId);
-  await updateBadge(tabId);
+// Per-path: views = segments that started on the path, arrivals = counted changes landing on it.
+// A segment is a page view if it began on a new document or origin (or where no segment was
+// open, e.g. tracking just turned on), or saw a navigation; re-baselining the page already
+// being counted (tab focus, Reset) doesn't make another one.
+function segmentIsView(s) {
+  return !!s.segmentNew || s.counts.totals.all > 0;
+}
 
-  // If permission exists, probe identifiers immediately
-  debounced(tabId, () => refreshPageIds(tabId), 0);
+function addSegmentPaths(paths, s) {
+  const bump = (p, key, source) => {
+    if (!p) {
+      return;
+    }
+    const row = paths[p] || (paths[p] = { views: 0, arrivals: 0, full: 0, spa: 0, hash: 0 });
+    row[key] += 1;
+    if (source && source in row) {
+      row[source] += 1;
+    }
+  };
+  if (segmentIsView(s)) {
+    bump(pathOf(s.timeline.length ? s.timeline[0].from : s.lastUrl), "views");
+  }
+  for (const e of s.timeline) {
+    bump(pathOf(e.to), "arrivals", e.source);
+  }
 }
 
-/* --------------------------- URL change handling --------------------------- */
+function trimPaths(paths) {
+  const keys = Object.keys(paths);
+  if (keys.length <= MAX_STATS_PATHS) {
+    return paths;
+  }
+  const score = p => paths[p].arrivals + paths[p].views;
+  keys.sort((a, b) => score(b) - score(a));
+  return Object.fromEntries(keys.slice(0, MAX_STATS_PATHS).map(k => [k, paths[k]]));
+}
 
-async function handleUrlChange(tabId, url, source /* 'full' | 'spa' */) {
-  if (!isCoreProtocol(url)) {
+// Fold a finished segment into its origin's stats; call before counts are cleared.
+function rollupSegment(s) {
+  if (!s?.segmentStart || !s.origin) {
     return;
   }
+  const stats = originStats.get(s.origin) || newOriginStats();
+  stats.counts = { ...newCounts(), ...stats.counts }; // groups added since the stats were stored
+  stats.views += segmentIsView(s) ? 1 : 0;
+  addCounts(stats.counts, s.counts);
+  addSegmentPaths(stats.paths, s);
+  stats.paths = trimPaths(stats.paths);
+  stats.updatedAt = Date.now();
+  originStats.set(s.origin, stats);
+  s.segmentStart = null;
+  scheduleLocalWrite(ORIGIN_STATS_KEY, originStats);
+}
 
-  const s = getState(tabId);
-  const next = toURL(url);
-  if (!next) {
-    return;
+// Stored roll-up plus the segments still open in tabs, so the numbers are current.
+function originStatsFor(origin) {
+  const stored = originStats.get(origin);
+  const merged = newOriginStats();
+  if (stored) {
+    merged.views = stored.views;
+    addCounts(merged.counts, stored.counts);
+    merged.paths = structuredClone(stored.paths || {});
+    merged.updatedAt = stored.updatedAt;
+  }
+  for (const s of tabState.values()) {
+    if (s.origin === origin && s.segmentStart) {
+      merged.views += segmentIsView(s) ? 1 : 0;
+      addCounts(merged.counts, s.counts);
+      addSegmentPaths(merged.paths, s);
+    }
   }
 
-  const origin = originOf(next);
-  const trackingEnabled = await hasHostPerm(origin);
+  const perView = n => merged.views ? Math.round((n / merged.views) * 100) / 100 : 0;
+  const { totals } = merged.counts;
+  const topPaths = Object.entries(merged.paths)
+    .map(([path, row]) => ({ path, ...row }))
+    .sort((a, b) => (b.arrivals + b.views) - (a.arrivals + a.views))
+    .slice(0, 10);
 
-  // If tracking is off (no permission), keep minimal baseline; do not count or probe.
-  if (!trackingEnabled) {
-    s.lastUrl = url;
-    s.origin = origin;
-    s.hasBaseline = true;
-    tabState.set(tabId, s);
-    await broadcast(tabId);
-    await updateBadge(tabId);
-    return;
-  }
+  return {
+    views: merged.views,
+    counts: merged.counts,
+    averages: { all: perView(totals.all), full: perView(totals.full), spa: perView(totals.spa), hash: perView(totals.hash) },
+    topPaths,
+    pathCount: Object.keys(merged.paths).length,
+    updatedAt: merged.updatedAt
+  };
+}
 
-  const prevUrl = s.lastUrl;
-  const prevHasBaseline = s.hasBaseline;
+/* --------------------------- Navigation timing --------------------------- */
 
-  if (!prevHasBaseline) {
-    await baselineTab(tabId);
-    return;
+// How long the last change to `url` took, as measured by ids.js in the top document:
+// settle time (history/anchor change until the DOM went quiet) or the full load's
+// PerformanceNavigationTiming. Sampled per route and attached to the timeline entry.
+const TIMING_LOOKBACK = 20;
+
+function timingNumber(v) {
+  return Number.isFinite(v) ? Math.round(v) : null;
+}
+
+function sanitizeTiming(msg) {
+  if (msg.kind === "full") {
+    return {
+      loadMs: timingNumber(msg.loadMs),
+      domContentLoadedMs: timingNumber(msg.domContentLoadedMs),
+      responseStartMs: timingNumber(msg.responseStartMs)
+    };
   }
+  const soft = msg.softNavigation;
+  return {
+    settleMs: timingNumber(msg.settleMs),
+    mutations: timingNumber(msg.mutations),
+    timedOut: msg.timedOut === true,
+    ...(soft && typeof soft === "object"
+      ? { softNavigation: { startOffsetMs: timingNumber(soft.startOffsetMs), durationMs: timingNumber(soft.durationMs) } }
+      : {})
+  };
+}
 
-  if (prevUrl === url) {
-    return;
+// The latest change that landed on `url` and has no timing yet. A full load's own
+// document has no entry after a baseline, so its timing is only sampled.
+function timingEntryFor(s, url, kind) {
+  for (let i = s.timeline.length - 1; i >= Math.max(0, s.timeline.length - TIMING_LOOKBACK); i--) {
+    const e = s.timeline[i];
+    if (e.to === url && e.source === kind && !e.timing) {
+      return e;
+    }
   }
+  return null;
+}
 
-  const prev = toURL(prevUrl);
-  const diffs = diffComponents(prev, next);
+// Returns true if the tab's timeline picked up the timing.
+function recordTiming(tabId, msg) {
+  const s = getState(tabId);
+  const u = toURL(msg.url);
+  if (!u || !s.origin || originOf(u) !== s.origin) {
+    return false;
+  }
+  const timing = sanitizeTiming(msg);
+  const ms = msg.kind === "full" ? timing.loadMs : timing.settleMs;
+  if (ms !== null) {
+    navTimings.set(s.origin, addTimingSample(navTimings.get(s.origin), routeOf(u, s.origin), msg.kind, ms, Date.now()));
+    scheduleLocalWrite(NAV_TIMINGS_KEY, navTimings);
+  }
 
-  if (prev && diffs.origin) {
-    await baselineTab(tabId);
-    return;
+  const entry = timingEntryFor(s, msg.url, msg.kind);
+  if (!entry) {
+    return ms !== null;
   }
+  entry.timing = timing;
+  entry.rev = (entry.rev || 0) + 1;
+  commitState(tabId, s);
+  return true;
+}
 
-  // Within-origin change: count + advance baseline
+/* --------------------------- Test sessions --------------------------- */
+
+// A session (spec from assertions.js) is armed on one tab from the sidebar. It waits for
+// the tab to reach its start path (if any), starts from a fresh baseline there and is
+// evaluated live against the tab's counters; reaching its end path freezes the results
+// once late metadata has had time to arrive. Any other baseline restarts it.
+const SESSION_END_GRACE_MS = 2000;
+
+function newSession(spec) {
+  return { spec, state: "waiting", startedAt: null, endsAt: null, endedAt: null, results: null };
+}
+
+function sessionCounters(s) {
+  return { ...s.counts, anomalies: s.anomalies.counts };
+}
+
+// Called by every tracked baseline.
+function restartSession(s, url) {
+  const session = s.session;
+  if (!session || session.state === "done") {
+    return;
+  }
+  const starts = !session.spec.start || pathMatches(session.spec.start, url);
+  s.session = { ...newSession(session.spec), state: starts ? "running" : "waiting", startedAt: starts ? Date.now() : null };
+}
+
+function endSession(tabId, s) {
+  s.session.state = "ending";
+  s.session.endsAt = Date.now() + SESSION_END_GRACE_MS;
+  setTimeout(async () => {
+    if (tabState.get(tabId)?.session?.state === "ending") {
+      await broadcast(tabId); // the snapshot settles it
+    }
+  }, SESSION_END_GRACE_MS);
+}
+
+// Settles an ending session whose grace period is over (also after a background restart).
+function settleSession(tabId, s) {
+  const session = s.session;
+  if (session?.state !== "ending" || Date.now() < session.endsAt) {
+    return;
+  }
+  session.state = "done";
+  session.endedAt = session.endsAt;
+  session.results = evaluateSession(session.spec, sessionCounters(s));
+  commitState(tabId, s);
+}
+
+function sessionSnapshot(tabId, s) {
+  if (!s.session) {
+    return null;
+  }
+  settleSession(tabId, s);
+  const { spec, state, startedAt, endedAt } = s.session;
+  const results = s.session.results || (state === "waiting" ? [] : evaluateSession(spec, sessionCounters(s)));
+  return { name: spec.name, spec, state, startedAt, endedAt, results, passed: results.every(r => r.pass) };
+}
+
+/* --------------------------- Recordings --------------------------- */
+
+// A recording (recordings.js) starts from a fresh baseline on a tracked tab and keeps every
+// counted change with its source and the metadata the page settled on. Replaying opens the
+// start URL in a new tab, records that tab while driving the same changes (full loads via
+// tabs.update, History API changes via the page's own history object) and diffs the two.
+const REPLAY_LOAD_TIMEOUT_MS = 30000;
+// Pause between replayed steps: the recorded gap, within these bounds
+const REPLAY_MIN_GAP_MS = 500;
+const REPLAY_MAX_GAP_MS = 5000;
+// After the last step, for metadata that lands late
+const REPLAY_SETTLE_MS = 2000;
+
+async function loadRecordings() {
+  const raw = new Map();
+  await loadLocalMap(RECORDINGS_KEY, raw);
+  recordings.clear();
+  for (const [id, rec] of raw) {
+    if (isRecording(rec) && rec.id === id) {
+      recordings.set(id, rec);
+    }
+  }
+}
+
+function saveRecording(rec) {
+  recordings.set(rec.id, rec);
+  const oldest = [...recordings.values()].sort((a, b) => b.createdAt - a.createdAt).slice(MAX_RECORDINGS);
+  for (const old of oldest) {
+    recordings.delete(old.id);
+  }
+  scheduleLocalWrite(RECORDINGS_KEY, recordings);
+}
+
+async function sendRecordings() {
+  const list = [...recordings.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ id, name, createdAt, durationMs, startUrl, steps }) => ({ id, name, createdAt, durationMs, startUrl, steps: steps.length }));
+  await runtime.sendMessage({ type: "recordings", recordings: list }).catch(() => {});
+}
+
+async function startRecording(tabId, name) {
+  await baselineTab(tabId);
+  const s = getState(tabId);
+  if (!s.hasBaseline || !s.lastUrl || !(await isTracked(s.origin))) {
+    return false;
+  }
+  s.recording = newRecording(name, s.lastUrl, Date.now());
+  s.replay = null;
+  commitState(tabId, s);
+  await broadcast(tabId);
+  return true;
+}
+
+// Ends the tab's recording and returns it in saved form (null if none was running).
+function stopRecording(tabId) {
+  const s = getState(tabId);
+  if (!s.recording) {
+    return null;
+  }
+  const rec = finishRecording(s.recording, { counts: s.counts, timeline: s.timeline, now: Date.now() });
+  s.recording = null;
+  commitState(tabId, s);
+  return rec;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Resolves (true) once the tab finishes loading, or false on timeout. Register before navigating;
+// for a tab that is already navigating (just created), `checkNow` also accepts a load that
+// completed before the listener was in place.
+function waitForLoad(tabId, { checkNow = false } = {}) {
+  return new Promise((resolve) => {
+    const done = (loaded) => {
+      clearTimeout(timer);
+      tabs.onUpdated.removeListener(onUpdated);
+      resolve(loaded);
+    };
+    const onUpdated = (id, changeInfo) => {
+      if (id === tabId && changeInfo.status === "complete") {
+        done(true);
+      }
+    };
+    const timer = setTimeout(() => done(false), REPLAY_LOAD_TIMEOUT_MS);
+    tabs.onUpdated.addListener(onUpdated);
+    if (checkNow) {
+      tabs.get(tabId).then((tab) => {
+        if (tab?.status === "complete" && tab.url !== "about:blank") {
+          done(true);
+        }
+      }).catch(() => {});
+    }
+  });
+}
+
+// Injected into the replay tab (content script world). The page's own history object is
+// called so its router's wrappers (and ids.js) see the same push or replace as the original.
+function driveHistory(op, url) {
+  if (op === "hash") {
+    location.href = url;
+    return;
+  }
+  if (op === "back") {
+    history.back();
+    return;
+  }
+  const pageHistory = window.wrappedJSObject.history;
+  if (op === "replace") {
+    pageHistory.replaceState(null, "", url);
+  } else {
+    pageHistory.pushState(null, "", url);
+  }
+}
+
+function setReplay(tabId, patch) {
+  const s = getState(tabId);
+  s.replay = { ...s.replay, ...patch };
+  commitState(tabId, s);
+  return broadcast(tabId);
+}
+
+function replayGap(rec, i) {
+  const next = rec.steps[i + 1];
+  const gap = next ? next.offsetMs - rec.steps[i].offsetMs : REPLAY_SETTLE_MS;
+  return Math.min(REPLAY_MAX_GAP_MS, Math.max(REPLAY_MIN_GAP_MS, gap));
+}
+
+// Still ours to drive: the tab is open and nobody stopped the replay.
+function replayRunning(tabId) {
+  return tabState.has(tabId) && tabState.get(tabId).replay?.state === "running";
+}
+
+async function replayRecording(id) {
+  const rec = recordings.get(id);
+  const start = rec && toURL(rec.startUrl);
+  if (!start) {
+    return;
+  }
+  if (!(await isTracked(originOf(start)))) {
+    await runtime.sendMessage({ type: "replay-error", id, reason: "not_tracked" }).catch(() => {});
+    return;
+  }
+
+  let tab;
+  try {
+    tab = await tabs.create({ url: rec.startUrl, active: true });
+  } catch {
+    return;
+  }
+  const tabId = tab.id;
+  try {
+    const loaded = waitForLoad(tabId, { checkNow: true });
+    getState(tabId).replay = { recordingId: id, name: rec.name, state: "loading", step: 0, total: rec.steps.length, diff: null };
+    await broadcast(tabId);
+    await loaded;
+    if (tabState.get(tabId)?.replay?.state !== "loading") {
+      return; // stopped or closed while loading
+    }
+
+    await baselineTab(tabId);
+    const s = getState(tabId);
+    s.recording = newRecording(rec.name, s.lastUrl, Date.now());
+    await setReplay(tabId, { state: "running" });
+    await sleep(rec.steps.length ? Math.min(REPLAY_MAX_GAP_MS, Math.max(REPLAY_MIN_GAP_MS, rec.steps[0].offsetMs)) : REPLAY_SETTLE_MS);
+
+    for (let i = 0; i < rec.steps.length; i++) {
+      if (!replayRunning(tabId)) {
+        return;
+      }
+      const step = rec.steps[i];
+      const op = replayOp(rec, i);
+      await setReplay(tabId, { step: i + 1 });
+      if (op === "load") {
+        const stepLoaded = waitForLoad(tabId);
+        await tabs.update(tabId, { url: step.url });
+        await stepLoaded;
+      } else {
+        await scripting.executeScript({ target: { tabId }, func: driveHistory, args: [op, step.url] });
+      }
+      await sleep(replayGap(rec, i));
+    }
+
+    if (!replayRunning(tabId)) {
+      return;
+    }
+    const replayed = stopRecording(tabId);
+    await setReplay(tabId, { state: "done", diff: diffRecordings(rec, replayed) });
+  } catch (e) {
+    if (replayRunning(tabId) || tabState.get(tabId)?.replay?.state === "loading") {
+      getState(tabId).recording = null;
+      await setReplay(tabId, { state: "failed", error: String(e?.message || e) });
+    }
+  }
+}
+
+/* --------------------------- Checkpoints --------------------------- */
+
+// A checkpoint (checkpoints.js) keeps what the next baseline would throw away: the tab's
+// counts, ids and timeline under a name. The sidebar fetches one and compares the live
+// state against it, so the stored copy is only ever read whole.
+
+async function loadCheckpoints() {
+  const raw = new Map();
+  await loadLocalMap(CHECKPOINTS_KEY, raw);
+  checkpoints.clear();
+  for (const [id, cp] of raw) {
+    if (isCheckpoint(cp) && cp.id === id) {
+      checkpoints.set(id, cp);
+    }
+  }
+}
+
+function saveCheckpoint(tabId, name) {
+  const s = getState(tabId);
+  if (!s.hasBaseline || !s.origin) {
+    return null;
+  }
+  const cp = newCheckpoint(name, { url: s.lastUrl, origin: s.origin, route: s.route, counts: s.counts, ids: s.ids, timeline: s.timeline }, Date.now());
+  checkpoints.set(cp.id, cp);
+  const oldest = [...checkpoints.values()].sort((a, b) => b.createdAt - a.createdAt).slice(MAX_CHECKPOINTS);
+  for (const old of oldest) {
+    checkpoints.delete(old.id);
+  }
+  scheduleLocalWrite(CHECKPOINTS_KEY, checkpoints);
+  return cp;
+}
+
+async function sendCheckpoints(savedId = null) {
+  const list = [...checkpoints.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(({ id, name, createdAt, origin, url, timeline }) => ({ id, name, createdAt, origin, url, changes: timeline.length }));
+  await runtime.sendMessage({ type: "checkpoints", checkpoints: list, savedId }).catch(() => {});
+}
+
+/* --------------------------- Baseline / reset flow --------------------------- */
+
+async function baselineTab(tabId) {
+  await hydrated;
+  const s = getState(tabId);
+  const continues = !!s.segmentStart; // re-baselining a page that was already being counted
+  rollupSegment(s);
+
+  // Grab live URL
+  let liveUrl = "";
+  try {
+    const tab = await tabs.get(tabId);
+    liveUrl = tab?.url || "";
+  } catch {
+    // ignore
+  }
+
+  if (!liveUrl || !isCoreProtocol(liveUrl)) {
+    s.lastUrl = null;
+    s.origin = null;
+    s.hasBaseline = false;
+    clearCounts(s);
+    s.route = "";
+    commitState(tabId, s);
+    await broadcast(tabId);
+    await updateBadge(tabId);
+    return;
+  }
+
+  const u = new URL(liveUrl);
+  s.segmentNew = !continues || s.lastUrl !== liveUrl;
+  s.lastUrl = liveUrl;
+  s.origin = `${u.protocol}//${u.host}`;
+  s.route = routeOf(u, s.origin);
+  s.hasBaseline = true;
+  s.segmentStart = (await isTracked(s.origin)) ? Date.now() : null;
+  const frames = rebaselineFrames(s.frames); // same document, so its frames stay
+  clearCounts(s);
+  s.frames = frames;
+  s.suppressNextIdIncrements = true; // first metadata snapshot is baseline
+  restartSession(s, liveUrl);
+  commitState(tabId, s);
+
+  await broadcast(tabId);
+  await updateBadge(tabId);
+
+  // If permission exists, probe identifiers immediately
+  debounced(tabId, () => refreshPageIds(tabId), 0);
+}
+
+/* --------------------------- Timeline --------------------------- */
+
+// Record a counted change; ids are copied so later probes don't rewrite history.
+function appendTimeline(s, { from, to, source, diffs }) {
+  s.timeline.push({
+    at: Date.now(),
+    from: from || "",
+    to,
+    source,
+    changed: {
+      ...(diffs.origin ? { origin: true } : {}), // only within an origin group
+      path: diffs.path, query: diffs.query, fragment: diffs.fragment, route: !!diffs.route
+    },
+    route: s.route,
+    ids: { ...s.ids },
+    transition: null,
+    historyOp: null,
+    redirects: null,
+    rev: 0 // bumped whenever details land on the entry after it was appended
+  });
+  if (s.timeline.length > MAX_TIMELINE) {
+    s.timeline.splice(0, s.timeline.length - MAX_TIMELINE);
+  }
+}
+
+/* --------------------------- Navigation details --------------------------- */
+
+// Transitions (webNavigation.onCommitted) and History API calls (reported by ids.js)
+// describe a change that tabs.onUpdated may have counted already, or not yet. They
+// are attached to the matching recent timeline entry, or held until it exists.
+const DETAIL_WINDOW_MS = 2000;
+const TRANSITION_BUCKETS = ["link", "typed", "reload", "forward_back", "form_submit"];
+const HISTORY_OPS = new Set(["push", "replace", "pop"]);
+
+function transitionOf(d) {
+  if (!d?.transitionType) {
+    return null;
+  }
+  return {
+    type: d.transitionType,
+    qualifiers: Array.isArray(d.transitionQualifiers) ? d.transitionQualifiers : []
+  };
+}
+
+function transitionBucket(t) {
+  if (t.qualifiers.includes("forward_back")) {
+    return "forward_back";
+  }
+  return TRANSITION_BUCKETS.includes(t.type) ? t.type : "other";
+}
+
+// Returns true if the entry picked up something new.
+function applyDetail(s, entry, detail) {
+  let applied = false;
+  if (detail.transition && !entry.transition) {
+    entry.transition = detail.transition;
+    s.counts.transitions[transitionBucket(detail.transition)] += 1;
+    applied = true;
+  }
+  // Firefox also fires popstate for fragment navigations; only History API changes take an op
+  if (detail.historyOp && !entry.historyOp && entry.source === "spa") {
+    entry.historyOp = detail.historyOp;
+    s.counts.history[detail.historyOp] += 1;
+    applied = true;
+  }
+  if (detail.redirects && !entry.redirects) {
+    entry.redirects = detail.redirects.chain;
+    s.counts.dims.redirect += 1;
+    for (const hop of detail.redirects.hops) {
+      s.counts.redirects[hop.type] += 1;
+    }
+    applied = true;
+  }
+  if (applied) {
+    entry.rev = (entry.rev || 0) + 1;
+  }
+  return applied;
+}
+
+function recentEntryFor(s, url) {
+  const now = Date.now();
+  for (let i = s.timeline.length - 1; i >= 0; i--) {
+    const e = s.timeline[i];
+    if (now - e.at > DETAIL_WINDOW_MS) {
+      break;
+    }
+    if (e.to === url) {
+      return e;
+    }
+  }
+  return null;
+}
+
+function takePendingDetails(pendingKey, url) {
+  const now = Date.now();
+  const live = (pendingDetails.get(pendingKey) || []).filter(p => now - p.at <= DETAIL_WINDOW_MS);
+  pendingDetails.set(pendingKey, live.filter(p => p.url !== url));
+  return live.filter(p => p.url === url);
+}
+
+// `s` is a tab or frame state; the caller commits. Returns true if counts changed.
+function noteDetail(s, pendingKey, url, detail) {
+  const entry = recentEntryFor(s, url);
+  if (entry && applyDetail(s, entry, detail)) {
+    return true;
+  }
+
+  // Reloads keep the URL, so there is no change entry to attach to
+  if (detail.transition && transitionBucket(detail.transition) === "reload") {
+    s.counts.transitions.reload += 1;
+    return true;
+  }
+
+  if (!entry) {
+    const now = Date.now();
+    const live = (pendingDetails.get(pendingKey) || []).filter(p => now - p.at <= DETAIL_WINDOW_MS);
+    live.push({ url, at: now, ...detail });
+    pendingDetails.set(pendingKey, live);
+  }
+  return false;
+}
+
+/* --------------------------- Redirect chains --------------------------- */
+
+// A full navigation that bounced through server redirects (webRequest.onBeforeRedirect)
+// or was started by the previous document (client_redirect: meta refresh, location.replace)
+// keeps every URL it passed through on its timeline entry, as [{ url, type, status }]
+// in order, ending before `to`. Main frame only.
+const navChains = new Map(); // Map<tabId, { url, from, hops: [{ url, status }] }>
+
+async function startNavChain(tabId, url) {
+  await hydrated;
+  // The document on screen when the navigation started: the source of a client redirect
+  navChains.set(tabId, { url, from: tabState.get(tabId)?.lastUrl || null, hops: [] });
+}
+
+function noteServerRedirect(tabId, url, status) {
+  const chain = navChains.get(tabId) || { url, from: null, hops: [] };
+  chain.hops.push({ url, status: Number.isFinite(status) ? status : null });
+  navChains.set(tabId, chain);
+}
+
+// { chain, hops } for a committing main-frame navigation, or null when it didn't redirect.
+// `hops` are this navigation's own; `chain` also carries the redirects that led to the
+// document which client-redirected here.
+function takeRedirects(tabId, d) {
+  const nav = navChains.get(tabId);
+  navChains.delete(tabId);
+  const qualifiers = Array.isArray(d.transitionQualifiers) ? d.transitionQualifiers : [];
+  const hops = [];
+  let earlier = [];
+
+  if (qualifiers.includes("client_redirect") && nav?.from && nav.from !== d.url) {
+    const s = tabState.get(tabId);
+    const last = s?.timeline[s.timeline.length - 1];
+    if (last?.to === nav.from && Array.isArray(last.redirects)) {
+      earlier = last.redirects;
+    }
+    hops.push({ url: nav.from, type: "client", status: null });
+  }
+  if (nav?.hops.length) {
+    hops.push(...nav.hops.map(h => ({ url: h.url, type: "server", status: h.status })));
+  } else if (qualifiers.includes("server_redirect") && nav?.url && nav.url !== d.url) {
+    // No webRequest event for the hops (e.g. they left permitted hosts): only the first URL is known
+    hops.push({ url: nav.url, type: "server", status: null });
+  }
+  return hops.length ? { chain: [...earlier, ...hops], hops } : null;
+}
+
+/* --------------------------- URL change handling --------------------------- */
+
+// Counts one within-origin change on a tab or frame state and returns its timeline entry.
+function countChange(s, { prev, next, prevUrl, url, origin, source, diffs }) {
   s.counts.totals.all += 1;
   if (source === "spa") {
     s.counts.totals.spa += 1;
+  } else if (source === "hash") {
+    s.counts.totals.hash += 1;
   } else {
     s.counts.totals.full += 1;
   }
@@ -363,67 +1466,414 @@ async function handleUrlChange(tabId, url, source /* 'full' | 'spa' */) {
     s.counts.dims.fragment += 1;
   }
 
+  // Route transitions are counted apart from raw path changes
+  const prevRoute = s.route || routeOf(prev || next, origin);
+  const route = routeOf(next, origin);
+  diffs.route = route !== prevRoute;
+  if (diffs.route) {
+    s.counts.dims.route += 1;
+  }
+  s.route = route;
+
+  appendTimeline(s, { from: prevUrl, to: url, source, diffs });
+  return s.timeline[s.timeline.length - 1];
+}
+
+async function handleUrlChange(tabId, url, source /* 'full' | 'spa' | 'hash' */, detail = null) {
+  if (!isCoreProtocol(url)) {
+    return;
+  }
+  await hydrated;
+
+  const s = getState(tabId);
+  const next = toURL(url);
+  if (!next) {
+    return;
+  }
+
+  const origin = originOf(next);
+  const trackingEnabled = await isTracked(origin);
+
+  // If tracking is paused/off (or permission is missing), keep minimal baseline; do not count or probe.
+  if (!trackingEnabled) {
+    if (s.recording && s.lastUrl !== url) {
+      addStep(s.recording, { at: Date.now(), to: url, source }); // a replay has to go there too
+    }
+    s.lastUrl = url;
+    s.origin = origin;
+    s.hasBaseline = true;
+    commitState(tabId, s);
+    await broadcast(tabId);
+    await updateBadge(tabId);
+    return;
+  }
+
+  updateOriginSettings(origin, { lastSeen: Date.now() });
+
+  const prevUrl = s.lastUrl;
+  const prevHasBaseline = s.hasBaseline;
+
+  if (!prevHasBaseline) {
+    await baselineTab(tabId);
+    return;
+  }
+
+  // An armed session starts counting from a fresh baseline once the tab reaches its start path
+  if (s.session?.state === "waiting" && pathMatches(s.session.spec.start, url)) {
+    await baselineTab(tabId);
+    return;
+  }
+
+  if (prevUrl === url) {
+    if (detail && noteDetail(s, tabId, url, detail)) {
+      commitState(tabId, s);
+      await broadcast(tabId);
+    }
+    return;
+  }
+
+  const prev = toURL(prevUrl);
+  let diffs = diffComponents(prev, next);
+
+  // Moving between origins of one group is a change like any other; elsewhere it starts over
+  if (prev && diffs.origin && !sameScope(originGroups, originOf(prev), origin)) {
+    if (s.recording) {
+      addStep(s.recording, { at: Date.now(), to: url, source });
+    }
+    await baselineTab(tabId);
+    return;
+  }
+
+  // Re-diff through the origin's normalization rules; a change they cancel out isn't counted
+  const rules = !diffs.origin && normalizeRules.get(origin);
+  if (prev && rules) {
+    diffs = diffComponents(normalizeUrl(prev, rules), normalizeUrl(next, rules));
+    if (!diffs.path && !diffs.query && !diffs.fragment) {
+      if (s.idsUrl === s.lastUrl) {
+        s.idsUrl = url; // same page as far as the rules go; the metadata still applies
+      }
+      s.lastUrl = url;
+      commitState(tabId, s);
+      await broadcast(tabId);
+      return;
+    }
+  }
+
+  // Within-origin change: count + advance baseline
+  const entry = countChange(s, { prev, next, prevUrl, url, origin, source, diffs });
+  for (const d of [detail, ...takePendingDetails(tabId, url)]) {
+    if (d) {
+      applyDetail(s, entry, d);
+    }
+  }
+  const anomalies = checkChange(s.anomalies, entry, s.timeline[s.timeline.length - 2] || null, prefs);
+  if (anomalies.length) {
+    entry.anomalies = anomalies;
+  }
+  if (s.recording) {
+    addStep(s.recording, entry);
+  }
+  if (s.session?.state === "running" && s.session.spec.end && pathMatches(s.session.spec.end, url)) {
+    endSession(tabId, s);
+  }
+
   s.lastUrl = url;
   s.origin = origin;
-  tabState.set(tabId, s);
+  commitState(tabId, s);
 
   await broadcast(tabId);
   await updateBadge(tabId);
   debounced(tabId, () => refreshPageIds(tabId));
 }
 
+/* ------------------------------ Frame tracking ------------------------------ */
+
+// Opt-in (prefs.trackFrames). Each subframe gets its own counters and timeline in
+// s.frames, keyed by frameId and the frame URL's origin, and only while that origin
+// has host permission. The first URL seen for a key is its baseline; a new top-level
+// document drops every frame along with the old one.
+const MAX_FRAMES = 20;
+
+// Frames follow their tab's tracking state, unless their own origin was paused or turned off.
+async function frameTracked(tabOrigin, origin) {
+  if (!(await isTracked(tabOrigin)) || !(await hasHostPerm(origin))) {
+    return false;
+  }
+  return sameScope(originGroups, origin, tabOrigin) || !["paused", "off"].includes(storedTrackingState(origin));
+}
+
+function frameKey(frameId, origin) {
+  return `${frameId}|${origin}`;
+}
+
+function framePendingKey(tabId, key) {
+  return `${tabId}|${key}`;
+}
+
+function newFrameState(frameId, origin) {
+  return {
+    frameId,
+    origin,
+    lastUrl: null,
+    route: "",
+    counts: newCounts(),
+    timeline: [],
+    firstSeen: Date.now()
+  };
+}
+
+function reviveFrames(saved) {
+  const out = {};
+  for (const [key, f] of Object.entries(saved && typeof saved === "object" ? saved : {})) {
+    const fresh = newFrameState(f?.frameId, f?.origin);
+    const counts = newCounts();
+    for (const group of Object.keys(counts)) {
+      counts[group] = { ...counts[group], ...f?.counts?.[group] };
+    }
+    out[key] = { ...fresh, ...f, counts, timeline: Array.isArray(f?.timeline) ? f.timeline : [] };
+  }
+  return out;
+}
+
+// Fresh counters from each frame's current URL.
+function rebaselineFrames(frames) {
+  const out = {};
+  for (const [key, f] of Object.entries(frames)) {
+    out[key] = { ...newFrameState(f.frameId, f.origin), lastUrl: f.lastUrl, route: f.route };
+  }
+  return out;
+}
+
+function clearFramePending(tabId) {
+  const prefix = `${tabId}|`;
+  for (const key of pendingDetails.keys()) {
+    if (typeof key === "string" && key.startsWith(prefix)) {
+      pendingDetails.delete(key);
+    }
+  }
+}
+
+// Runs from the top frame's onCommitted, ahead of the new document's frame events.
+function dropFrames(tabId) {
+  hydrated.then(() => {
+    const s = tabState.get(tabId);
+    clearFramePending(tabId);
+    if (s && Object.keys(s.frames).length) {
+      s.frames = {};
+      commitState(tabId, s);
+    }
+  });
+}
+
+async function handleFrameUrlChange(tabId, frameId, url, source /* 'full' | 'spa' | 'hash' */, detail = null) {
+  if (!prefs.trackFrames || !isCoreProtocol(url)) {
+    return;
+  }
+  await hydrated;
+
+  const next = toURL(url);
+  if (!next) {
+    return;
+  }
+  const origin = originOf(next);
+  const s = getState(tabId);
+  if (!(await frameTracked(s.origin, origin))) {
+    return;
+  }
+
+  const key = frameKey(frameId, origin);
+  let f = s.frames[key];
+  if (!f) {
+    if (Object.keys(s.frames).length >= MAX_FRAMES) {
+      return;
+    }
+    f = newFrameState(frameId, origin);
+    s.frames[key] = f;
+  }
+
+  if (!f.lastUrl) {
+    f.lastUrl = url;
+    f.route = routeOf(next, origin);
+    commitState(tabId, s);
+    await broadcast(tabId);
+    return;
+  }
+
+  const pendingKey = framePendingKey(tabId, key);
+  if (f.lastUrl === url) {
+    if (detail && noteDetail(f, pendingKey, url, detail)) {
+      commitState(tabId, s);
+      await broadcast(tabId);
+    }
+    return;
+  }
+
+  const prevUrl = f.lastUrl;
+  const prev = toURL(prevUrl);
+  const rules = normalizeRules.get(origin);
+  const diffs = rules ? diffComponents(normalizeUrl(prev, rules), normalizeUrl(next, rules)) : diffComponents(prev, next);
+  f.lastUrl = url;
+  if (diffs.path || diffs.query || diffs.fragment) {
+    const entry = countChange(f, { prev, next, prevUrl, url, origin, source, diffs });
+    for (const d of [detail, ...takePendingDetails(pendingKey, url)]) {
+      if (d) {
+        applyDetail(f, entry, d);
+      }
+    }
+  }
+  commitState(tabId, s);
+  await broadcast(tabId);
+}
+
+// History API call reported by ids.js running inside a tracked frame.
+async function noteFrameHistoryOp(tabId, frameId, url, op) {
+  const u = toURL(url);
+  if (!u) {
+    return;
+  }
+  const s = getState(tabId);
+  const key = frameKey(frameId, originOf(u));
+  const f = s.frames[key];
+  if (f?.lastUrl && noteDetail(f, framePendingKey(tabId, key), url, { historyOp: op })) {
+    commitState(tabId, s);
+    await broadcast(tabId);
+  }
+}
+
+function frameSnapshots(s) {
+  return Object.entries(s.frames).map(([key, f]) => ({
+    key, frameId: f.frameId, origin: f.origin, url: f.lastUrl, route: f.route, counts: f.counts, timeline: f.timeline
+  }));
+}
+
 /* -------------------------------- Listeners -------------------------------- */
 
 // Firefox will only deliver webNavigation events for hosts we have permission for.
 
+// tabs.onUpdated reports every URL change but not how it happened. Give the webNavigation
+// events a head start so they classify the change; the fallback only counts URLs they missed.
+const URL_FALLBACK_DELAY_MS = 100;
+
+async function fallbackUrlChange(tabId, url) {
+  await hydrated;
+  if (tabState.get(tabId)?.lastUrl === url) {
+    return; // already handled
+  }
+  // A later navigation inside the delay makes this URL stale; counting it would invent a change
+  try {
+    if ((await tabs.get(tabId))?.url !== url) {
+      return;
+    }
+  } catch {
+    return;
+  }
+  await handleUrlChange(tabId, url, "full");
+}
+
 tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.url) {
-    handleUrlChange(tabId, changeInfo.url, "full");
+    const { url } = changeInfo;
+    setTimeout(() => fallbackUrlChange(tabId, url), URL_FALLBACK_DELAY_MS);
   }
   if (changeInfo.status === "complete") {
     debounced(tabId, () => refreshPageIds(tabId));
   }
 });
 
-webNavigation.onHistoryStateUpdated.addListener((d) => {
+webNavigation.onHistoryStateUpdated.addListener((d) => {
+  if (isMainFrame(d)) {
+    handleUrlChange(d.tabId, d.url, "spa");
+  } else {
+    handleFrameUrlChange(d.tabId, d.frameId, d.url, "spa");
+  }
+});
+
+// In-page anchor navigations (location.hash, #links); not delivered as history state updates
+webNavigation.onReferenceFragmentUpdated.addListener((d) => {
   if (isMainFrame(d)) {
-    handleUrlChange(d.tabId, d.url, "spa");
+    handleUrlChange(d.tabId, d.url, "hash");
+  } else {
+    handleFrameUrlChange(d.tabId, d.frameId, d.url, "hash");
+  }
+});
+
+webNavigation.onBeforeNavigate.addListener((d) => {
+  if (isMainFrame(d)) {
+    startNavChain(d.tabId, d.url);
   }
 });
 
+// Server redirects of top-level loads; only delivered for hosts with permission
+webRequest.onBeforeRedirect.addListener((d) => {
+  if (Number.isFinite(d.tabId) && d.tabId >= 0) {
+    noteServerRedirect(d.tabId, d.url, d.statusCode);
+  }
+}, { urls: ["<all_urls>"], types: ["main_frame"] });
+
 webNavigation.onCommitted.addListener((d) => {
+  const transition = transitionOf(d);
   if (isMainFrame(d)) {
-    handleUrlChange(d.tabId, d.url, "full");
+    dropFrames(d.tabId);
+    const redirects = takeRedirects(d.tabId, d);
+    const detail = transition || redirects ? { ...(transition ? { transition } : {}), ...(redirects ? { redirects } : {}) } : null;
+    handleUrlChange(d.tabId, d.url, "full", detail);
+  } else {
+    handleFrameUrlChange(d.tabId, d.frameId, d.url, "full", transition ? { transition } : null);
   }
 });
 
-tabs.onRemoved.addListener((tabId) => {
+tabs.onRemoved.addListener(async (tabId) => {
+  await hydrated;
+  rollupSegment(tabState.get(tabId));
   tabState.delete(tabId);
   injectedTabs.delete(tabId);
   tabNonce.delete(tabId);
-  const t = probeTimers.get(tabId);
-  if (t) {
-    clearTimeout(t);
+  pendingDetails.delete(tabId);
+  navChains.delete(tabId);
+  clearFramePending(tabId);
+  for (const timers of [probeTimers, persistTimers]) {
+    const t = timers.get(tabId);
+    if (t) {
+      clearTimeout(t);
+    }
+    timers.delete(tabId);
+  }
+  await writeSessionTabs();
+});
+
+// Undo-close brings a tab back under a new id; its tab value still holds the state
+tabs.onCreated.addListener(async (tab) => {
+  await hydrated;
+  if (Number.isFinite(tab?.id) && !tabState.has(tab.id) && await restoreFromTabValue(tab.id)) {
+    schedulePersist(tab.id);
   }
-  probeTimers.delete(tabId);
 });
 
 // Baseline on tab focus; if permission exists, probe immediately
 tabs.onActivated.addListener(async ({ tabId }) => {
+  await hydrated;
   try {
     const tab = await tabs.get(tabId);
     const url = tab?.url || "";
     const origin = (url && isCoreProtocol(url)) ? `${new URL(url).protocol}//${new URL(url).host}` : null;
 
-    if (origin && await hasHostPerm(origin)) {
-      await baselineTab(tabId);
+    if (origin && await isTracked(origin)) {
+      // With auto-baseline off, a test session counting or a recording, keep counting from where the tab left off
+      const s = getState(tabId);
+      const counting = ["running", "ending"].includes(s.session?.state) || !!s.recording;
+      if ((prefs.autoBaselineOnFocus && !counting) || !s.hasBaseline) {
+        await baselineTab(tabId);
+      } else {
+        await broadcast(tabId);
+        await updateBadge(tabId);
+      }
       debounced(tabId, () => refreshPageIds(tabId), 0);
     } else {
       const s = getState(tabId);
       s.lastUrl = url || null;
       s.origin = origin || null;
       s.hasBaseline = !!url;
-      tabState.set(tabId, s);
+      commitState(tabId, s);
       await broadcast(tabId);
       await updateBadge(tabId);
     }
@@ -432,6 +1882,237 @@ tabs.onActivated.addListener(async ({ tabId }) => {
   }
 });
 
+// Preferences apply live; the badge color is re-applied to every tab we know
+watchPrefs(async (next) => {
+  await hydrated;
+  const colorChanged = next.badgeColor !== prefs.badgeColor;
+  const reinject = next.observeMetadata !== prefs.observeMetadata || next.trackFrames !== prefs.trackFrames
+    || next.measureTiming !== prefs.measureTiming;
+  prefs = next;
+  if (colorChanged) {
+    for (const tabId of tabState.keys()) {
+      await updateBadge(tabId);
+    }
+  }
+  if (reinject) {
+    for (const tabId of injectedTabs) {
+      await ensureInjectedWithNonce(tabId);
+    }
+  }
+});
+
+// Normalization and route rules are edited on the options page
+storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== "local") {
+    return;
+  }
+  if (changes[NORMALIZE_RULES_KEY]) {
+    loadNormalizeRules();
+  }
+  if (changes[ROUTE_RULES_KEY]) {
+    loadRouteRules();
+  }
+  if (changes[ORIGIN_GROUPS_KEY]) {
+    loadOriginGroups();
+  }
+});
+
+// Grants and revocations made anywhere (sidebar, granted origins page, about:addons, the
+// URL bar's site permissions). Tabs that lost access give up their content-script
+// credentials and counts; tabs that gained it are re-sent to the UI, and on a tracked scope
+// start a fresh baseline.
+permissions.onRemoved.addListener(async ({ origins = [] }) => {
+  await hydrated;
+  for (const [tabId, s] of [...tabState]) {
+    if (!s.origin || !origins.some(p => patternCovers(p, s.origin)) || await hasHostPerm(s.origin)) {
+      continue;
+    }
+    if (injectedTabs.has(tabId)) {
+      // Stop live observation; anything the old script still sends is now rejected
+      await tabs.sendMessage(tabId, { type: "init-probe", observe: false }).catch(() => {});
+    }
+    injectedTabs.delete(tabId);
+    tabNonce.delete(tabId);
+    pendingDetails.delete(tabId);
+    clearFramePending(tabId);
+    rollupSegment(s);
+    clearCounts(s);
+    commitState(tabId, s);
+    await broadcast(tabId);
+    await updateBadge(tabId);
+  }
+});
+
+permissions.onAdded.addListener(async ({ origins = [] }) => {
+  await hydrated;
+  let open = [];
+  try {
+    open = await tabs.query({});
+  } catch {
+    // ignore
+  }
+  for (const tab of open) {
+    if (!tab.url || !isCoreProtocol(tab.url)) {
+      continue;
+    }
+    const origin = originOf(new URL(tab.url));
+    if (!origins.some(p => patternCovers(p, origin))) {
+      continue;
+    }
+    if (await isTracked(origin)) {
+      await baselineTab(tab.id);
+      debounced(tab.id, () => refreshPageIds(tab.id), 0);
+    } else {
+      // Paused or off: nothing to count, but the sidebar and badge must see the new grant
+      await broadcast(tab.id);
+      await updateBadge(tab.id);
+    }
+  }
+});
+
+/* ----------------------------- Tracking state ----------------------------- */
+
+// Every tab currently in the origin's scope, plus the one the UI asked about.
+function tabsInScope(origin, tabId) {
+  const ids = new Set([...tabState].filter(([, s]) => s.origin && sameScope(originGroups, s.origin, origin)).map(([id]) => id));
+  if (Number.isFinite(tabId)) {
+    ids.add(tabId);
+  }
+  return ids;
+}
+
+// Everything counted for a tab; the URL and baseline stay. Every reset goes through here,
+// so a recording in progress first keeps what is cleared.
+function clearCounts(s) {
+  if (s.recording) {
+    foldSegment(s.recording, { counts: s.counts, timeline: s.timeline });
+  }
+  s.counts = newCounts();
+  s.ids = newIds();
+  s.entities = [];
+  s.entityCounts = {};
+  s.idLags = {};
+  s.authored = newAuthored();
+  s.idsUrl = null;
+  s.frames = {};
+  s.timeline = [];
+  s.anomalies = newAnomalies();
+}
+
+// On: fresh baseline + probe. Paused: close the stats segment and keep the counts on
+// screen, frozen. Off: also revoke the host permission and clear the counts.
+async function applyTrackingState(origin, state, tabId) {
+  if (state === "off") {
+    // The whole scope's grants, and an exact grant made before the origin joined a group
+    const patterns = new Set([...scopeOf(originGroups, origin).patterns, patternForOrigin(origin)]);
+    patterns.delete(null);
+    await permissions.remove({ origins: [...patterns] }).catch(() => {});
+  }
+
+  for (const id of tabsInScope(origin, tabId)) {
+    if (state === "on") {
+      await baselineTab(id);
+      debounced(id, () => refreshPageIds(id), 0);
+      continue;
+    }
+    const s = getState(id);
+    if (!s.origin || !sameScope(originGroups, s.origin, origin)) {
+      continue;
+    }
+    rollupSegment(s);
+    if (state === "off") {
+      clearCounts(s);
+    }
+    commitState(id, s);
+    await broadcast(id);
+    await updateBadge(id);
+  }
+}
+
+/* ----------------------------- Granted origins ----------------------------- */
+
+// Origins we know something about: seen while tracked, with stats, or open in a tab.
+function knownOrigins() {
+  const out = new Set([...originSettings.keys()].filter(k => !k.startsWith("group:")));
+  for (const origin of originStats.keys()) {
+    out.add(origin);
+  }
+  for (const s of tabState.values()) {
+    if (s.origin) {
+      out.add(s.origin);
+    }
+  }
+  return out;
+}
+
+function groupOfPattern(pattern) {
+  return originGroups.find(g => g.members.some(m => memberPattern(m) === pattern)) || null;
+}
+
+// Where revoking a pattern turns tracking off: its group, or the origin it was granted for.
+function scopeKeyOfPattern(pattern) {
+  const group = groupOfPattern(pattern);
+  return group ? `group:${group.name}` : originOfPattern(pattern);
+}
+
+// One row per granted match pattern, with the known origins it covers rolled up.
+async function grantedOriginRows() {
+  let granted = [];
+  try {
+    granted = (await permissions.getAll()).origins || [];
+  } catch {
+    // ignore
+  }
+  const known = knownOrigins();
+  return granted.map((pattern) => {
+    const origins = [...known].filter(o => patternCovers(pattern, o)).sort();
+    const totals = { views: 0, all: 0, full: 0, spa: 0, hash: 0 };
+    let lastSeen = 0;
+    for (const origin of origins) {
+      lastSeen = Math.max(lastSeen, getOriginSettings(origin).lastSeen || 0);
+      const stats = originStatsFor(origin);
+      totals.views += stats.views;
+      for (const k of ["all", "full", "spa", "hash"]) {
+        totals[k] += stats.counts.totals[k] || 0;
+      }
+    }
+    const key = scopeKeyOfPattern(pattern);
+    const tracking = key ? getOriginSettings(key).tracking : null;
+    return {
+      pattern,
+      origins,
+      group: groupOfPattern(pattern)?.name || "",
+      tracking: TRACKING_STATES.has(tracking) ? tracking : (key ? "off" : null),
+      lastSeen: lastSeen || null,
+      ...totals
+    };
+  });
+}
+
+// Revoking from the list is the same as turning tracking Off for every scope it touched
+// that no other grant still covers.
+async function revokeGranted(patterns) {
+  const affected = [...knownOrigins()].filter(o => patterns.some(p => patternCovers(p, o)));
+  await permissions.remove({ origins: patterns }).catch(() => {});
+
+  // Only scopes no remaining grant covers are turned off
+  const done = new Set();
+  for (const origin of affected) {
+    const { key } = scopeOf(originGroups, origin);
+    if (done.has(key) || await hasHostPerm(origin)) {
+      continue;
+    }
+    done.add(key);
+    updateOriginSettings(key, { tracking: "off" });
+    await applyTrackingState(origin, "off");
+  }
+}
+
+async function sendGrantedOrigins() {
+  const rows = await grantedOriginRows();
+  await runtime.sendMessage({ type: "granted-origins", origins: rows }).catch(() => {});
+}
+
 /* ----------------------------- Secure messaging ----------------------------- */
 
 function isFromExtensionUI(sender) {
@@ -452,38 +2133,64 @@ async function isFromInjectedContent(sender) {
     if (!tab?.url) {
       return false;
     }
-    const u = new URL(tab.url);
-    const pattern = `${u.protocol}//${u.host}/*`;
-    if (!(await permissions.contains({ origins: [pattern] }))) {
-      return false;
-    }
-    return true;
+    const tabOrigin = originOf(new URL(tab.url));
+    // A subframe also needs its own origin to be tracked along with the tab
+    return sender.frameId
+      ? await frameTracked(tabOrigin, originOf(new URL(sender.url || "")))
+      : await isTracked(tabOrigin);
   } catch {
     return false;
   }
 }
 
+// Tab id of an injected content script that passed permission + nonce checks, else null.
+async function authenticContentTab(msg, sender) {
+  if (!(await isFromInjectedContent(sender))) {
+    return null;
+  }
+  const tabId = sender?.tab?.id;
+  if (!Number.isFinite(tabId)) {
+    return null;
+  }
+
+  // Nonce/token validation
+  const expected = tabNonce.get(tabId);
+  if (!expected || msg.nonce !== expected) {
+    return null;
+  }
+  return tabId;
+}
+
+// Explicit tabId from the UI, else the sender's tab, else the active tab.
+async function resolveTabId(msg, sender) {
+  let tabId = Number.isFinite(msg.tabId) ? msg.tabId : sender?.tab?.id;
+  if (!Number.isFinite(tabId)) {
+    const [active] = await tabs.query({ active: true, currentWindow: true });
+    tabId = active?.id;
+  }
+  return tabId;
+}
+
 runtime.onMessage.addListener((msg, sender) => {
   if (!msg || !msg.type) {
     return;
   }
 
   // UI → background
-  if (["get-state", "manual-reset", "set-tracking"].includes(msg.type)) {
+  if (["get-state", "manual-reset", "set-tracking", "export-state", "get-all-states", "get-granted-origins", "revoke-origins",
+    "arm-session", "disarm-session", "start-recording", "stop-recording", "get-recordings", "replay-recording",
+    "delete-recording", "save-checkpoint", "get-checkpoints", "get-checkpoint", "delete-checkpoint"].includes(msg.type)) {
     if (!isFromExtensionUI(sender)) {
       return;
     }
 
     if (msg.type === "get-state") {
       (async () => {
-        let tabId = Number.isFinite(msg.tabId) ? msg.tabId : sender?.tab?.id;
-        if (!Number.isFinite(tabId)) {
-          const [active] = await tabs.query({ active: true, currentWindow: true });
-          tabId = active?.id;
-        }
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
         if (Number.isFinite(tabId)) {
           const s = getState(tabId);
-          if (!s.ids.canonical && !s.ids.ogUrl && !s.ids.jsonLdId) {
+          if (ID_KEYS.every(k => !s.ids[k])) {
             debounced(tabId, () => refreshPageIds(tabId));
           }
           const snap = await snapshotForWithLiveUrl(tabId);
@@ -495,72 +2202,228 @@ runtime.onMessage.addListener((msg, sender) => {
 
     if (msg.type === "manual-reset") {
       (async () => {
-        let tabId = Number.isFinite(msg.tabId) ? msg.tabId : sender?.tab?.id;
+        const tabId = await resolveTabId(msg, sender);
+        if (!Number.isFinite(tabId)) {
+          return;
+        }
+        await baselineTab(tabId);
+      })();
+      return;
+    }
+
+    if (msg.type === "get-all-states") {
+      (async () => {
+        await hydrated;
+        const list = await trackedTabSnapshots();
+        await runtime.sendMessage({ type: "all-states", tabs: list }).catch(() => {});
+      })();
+      return;
+    }
+
+    if (msg.type === "arm-session") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
+        // Never trust the UI's parse: the spec is checked again here
+        const { spec } = sanitizeSessionSpec(msg.spec);
+        if (!Number.isFinite(tabId) || !spec) {
+          return;
+        }
+        const s = getState(tabId);
+        s.session = newSession(spec);
+        if (!spec.start || pathMatches(spec.start, s.lastUrl || "")) {
+          await baselineTab(tabId); // starts it
+          return;
+        }
+        commitState(tabId, s);
+        await broadcast(tabId);
+      })();
+      return;
+    }
+
+    if (msg.type === "disarm-session") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
         if (!Number.isFinite(tabId)) {
-          const [active] = await tabs.query({ active: true, currentWindow: true });
-          tabId = active?.id;
+          return;
+        }
+        const s = getState(tabId);
+        s.session = null;
+        commitState(tabId, s);
+        await broadcast(tabId);
+      })();
+      return;
+    }
+
+    if (msg.type === "start-recording") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
+        if (Number.isFinite(tabId) && !getState(tabId).recording) {
+          await startRecording(tabId, typeof msg.name === "string" ? msg.name.slice(0, 100) : "");
         }
+      })();
+      return;
+    }
+
+    if (msg.type === "stop-recording") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
         if (!Number.isFinite(tabId)) {
           return;
         }
-        await baselineTab(tabId);
+        const s = getState(tabId);
+        // On a replay tab, Stop cancels the replay; its partial recording isn't kept
+        if (["loading", "running"].includes(s.replay?.state)) {
+          s.recording = null;
+          await setReplay(tabId, { state: "cancelled" });
+          return;
+        }
+        const rec = stopRecording(tabId);
+        if (rec) {
+          saveRecording(rec);
+          await broadcast(tabId);
+          await sendRecordings();
+        }
+      })();
+      return;
+    }
+
+    if (msg.type === "get-recordings") {
+      (async () => {
+        await hydrated;
+        await sendRecordings();
+      })();
+      return;
+    }
+
+    if (msg.type === "replay-recording") {
+      (async () => {
+        await hydrated;
+        if (typeof msg.id === "string") {
+          await replayRecording(msg.id);
+        }
+      })();
+      return;
+    }
+
+    if (msg.type === "delete-recording") {
+      (async () => {
+        await hydrated;
+        if (typeof msg.id === "string" && recordings.delete(msg.id)) {
+          scheduleLocalWrite(RECORDINGS_KEY, recordings);
+        }
+        await sendRecordings();
+      })();
+      return;
+    }
+
+    if (msg.type === "save-checkpoint") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
+        if (!Number.isFinite(tabId) || !(await isTracked(getState(tabId).origin))) {
+          return;
+        }
+        const cp = saveCheckpoint(tabId, typeof msg.name === "string" ? msg.name.slice(0, 100) : "");
+        await sendCheckpoints(cp?.id ?? null);
+      })();
+      return;
+    }
+
+    if (msg.type === "get-checkpoints") {
+      (async () => {
+        await hydrated;
+        await sendCheckpoints();
+      })();
+      return;
+    }
+
+    if (msg.type === "get-checkpoint") {
+      (async () => {
+        await hydrated;
+        const checkpoint = checkpoints.get(msg.id);
+        if (checkpoint) {
+          await runtime.sendMessage({ type: "checkpoint", checkpoint }).catch(() => {});
+        }
+      })();
+      return;
+    }
+
+    if (msg.type === "delete-checkpoint") {
+      (async () => {
+        await hydrated;
+        if (typeof msg.id === "string" && checkpoints.delete(msg.id)) {
+          scheduleLocalWrite(CHECKPOINTS_KEY, checkpoints);
+        }
+        await sendCheckpoints();
+      })();
+      return;
+    }
+
+    if (msg.type === "get-granted-origins") {
+      (async () => {
+        await hydrated;
+        await sendGrantedOrigins();
+      })();
+      return;
+    }
+
+    if (msg.type === "revoke-origins") {
+      (async () => {
+        await hydrated;
+        const patterns = (Array.isArray(msg.patterns) ? msg.patterns : []).filter(p => typeof p === "string" && p);
+        if (patterns.length) {
+          await revokeGranted(patterns);
+        }
+        await sendGrantedOrigins();
+      })();
+      return;
+    }
+
+    if (msg.type === "export-state") {
+      (async () => {
+        await hydrated;
+        const tabId = await resolveTabId(msg, sender);
+        if (!Number.isFinite(tabId)) {
+          return;
+        }
+        const snap = await snapshotForWithLiveUrl(tabId);
+        await runtime.sendMessage({
+          type: "export-snapshot",
+          requestId: msg.requestId,
+          format: msg.format,
+          exportedAt: Date.now(),
+          ...snap
+        }).catch(() => {});
       })();
       return;
     }
 
     if (msg.type === "set-tracking") {
       (async () => {
-        const { origin, enabled } = msg;
+        await hydrated;
+        const { origin } = msg;
+        const state = TRACKING_STATES.has(msg.state) ? msg.state : "off";
 
         // Only http/https origins are supported
         if (!/^https?:\/\/[^/]+$/.test(origin || "")) {
           try {
-            await runtime.sendMessage({ type: "set-tracking-result", origin, enabled: false, reason: "unsupported_origin" });
+            await runtime.sendMessage({ type: "set-tracking-result", origin, state: "off", reason: "unsupported_origin" });
           } catch {
             // ignore
           }
           return;
         }
 
-        if (enabled) {
-          // Baseline & probe if sender tab matches
-          const tabId = sender?.tab?.id;
-          if (Number.isFinite(tabId)) {
-            await baselineTab(tabId);
-            debounced(tabId, () => refreshPageIds(tabId), 0);
-          }
-          try {
-            await runtime.sendMessage({ type: "set-tracking-result", origin, enabled: true });
-          } catch {
-            // ignore
-          }
-        } else {
-          // Defensive: also attempt to remove permission here (UI already tries)
-          try {
-            const u = new URL(origin);
-            const pattern = `${u.protocol}//${u.host}/*`;
-            await permissions.remove({ origins: [pattern] }).catch(() => {});
-          } catch {
-            // ignore
-          }
-
-          // Clear visible state for matching tab
-          const tabId = sender?.tab?.id;
-          if (Number.isFinite(tabId)) {
-            const s = getState(tabId);
-            if (s.origin === origin) {
-              s.counts = newCounts();
-              s.ids = { canonical: "", ogUrl: "", jsonLdId: "" };
-              tabState.set(tabId, s);
-              await broadcast(tabId);
-              await updateBadge(tabId);
-            }
-          }
-          try {
-            await runtime.sendMessage({ type: "set-tracking-result", origin, enabled: false });
-          } catch {
-            // ignore
-          }
+        updateOriginSettings(scopeOf(originGroups, origin).key, { tracking: state });
+        await applyTrackingState(origin, state, await resolveTabId(msg, sender));
+        try {
+          await runtime.sendMessage({ type: "set-tracking-result", origin, state });
+        } catch {
+          // ignore
         }
       })();
       return;
@@ -570,24 +2433,63 @@ runtime.onMessage.addListener((msg, sender) => {
   // Content → background (page-ids) with nonce & permission checks
   if (msg.type === "page-ids") {
     (async () => {
-      if (!(await isFromInjectedContent(sender))) {
+      await hydrated;
+      const tabId = await authenticContentTab(msg, sender);
+      if (!Number.isFinite(tabId) || sender.frameId) {
+        return; // metadata is only read from the top document
+      }
+
+      const { idsChanged, checksReady } = integratePageIds(tabId, msg);
+      if (idsChanged || checksReady) {
+        await broadcast(tabId);
+        await updateBadge(tabId);
+      }
+    })();
+    return;
+  }
+
+  // Content → background: how long a navigation took to settle or load
+  if (msg.type === "nav-timing") {
+    (async () => {
+      await hydrated;
+      const tabId = await authenticContentTab(msg, sender);
+      if (!Number.isFinite(tabId) || sender.frameId || !TIMING_KINDS.includes(msg.kind) || typeof msg.url !== "string") {
+        return; // timing is only measured in the top document
+      }
+      if (recordTiming(tabId, msg)) {
+        await broadcast(tabId);
+      }
+    })();
+    return;
+  }
+
+  // Content → background: which History API call produced a change
+  if (msg.type === "history-op") {
+    (async () => {
+      await hydrated;
+      const tabId = await authenticContentTab(msg, sender);
+      if (!Number.isFinite(tabId) || !HISTORY_OPS.has(msg.op) || typeof msg.url !== "string") {
         return;
       }
-      const tabId = sender?.tab?.id;
-      if (!Number.isFinite(tabId)) {
+      if (!getState(tabId).hasBaseline) {
         return;
       }
-
-      // Nonce/token validation
-      const expected = tabNonce.get(tabId);
-      if (!expected || msg.nonce !== expected) {
+      const frameId = sender?.frameId ?? 0;
+      if (frameId !== 0) {
+        await noteFrameHistoryOp(tabId, frameId, msg.url, msg.op);
         return;
       }
-
-      const { idsChanged } = integratePageIds(tabId, msg);
-      if (idsChanged) {
+      const s = getState(tabId);
+      // No change follows a pushState to the current URL; it only counts as suspicious
+      if (msg.sameUrl === true && msg.op === "push") {
+        checkDuplicatePush(s.anomalies, Date.now(), msg.url, prefs);
+        commitState(tabId, s);
+        await broadcast(tabId);
+        return;
+      }
+      if (noteDetail(s, tabId, msg.url, { historyOp: msg.op })) {
+        commitState(tabId, s);
         await broadcast(tabId);
-        await updateBadge(tabId);
       }
     })();
     return;
@@ -596,6 +2498,6 @@ runtime.onMessage.addListener((msg, sender) => {
 
 /* -------------------------------- Boot -------------------------------- */
 
-(function init() {
-  // Nothing to load — permission state is the source of truth.
-})();
+// Listeners above are registered synchronously (required for event pages) and
+// wait on this before touching state.
+const hydrated = hydrate();
@@ -0,0 +1,75 @@
+// checkpoints.js — named snapshots of a tab's counters, identity metadata and timeline
+// ("before deploy"), and the comparison of a tab's current state against one.
+// Pure functions used by background.js (saving) and sidebar.js (the split view).
+
+import { flattenCounts } from "./recordings.js";
+
+export const CHECKPOINTS_KEY = "checkpoints"; // storage.local: { [id]: checkpoint }
+
+// Checkpoints kept (oldest are dropped first)
+export const MAX_CHECKPOINTS = 50;
+
+export function newCheckpoint(name, { url, origin, route, counts, ids, timeline }, now) {
+  return JSON.parse(JSON.stringify({
+    id: `${now}-${Math.random().toString(16).slice(2, 10)}`,
+    name: String(name || "").trim() || "Checkpoint",
+    createdAt: now,
+    url, origin, route, counts, ids,
+    timeline: timeline || []
+  }));
+}
+
+export function isCheckpoint(raw) {
+  return !!raw && typeof raw === "object" && typeof raw.id === "string" && typeof raw.origin === "string"
+    && !!raw.counts && typeof raw.counts === "object" && Array.isArray(raw.timeline);
+}
+
+function entryKey(e) {
+  return `${e.source} ${e.to}`;
+}
+
+// Timeline entries are matched by source and URL, not time, so a later run of the same flow
+// lines up with the checkpoint; what's left over on either side was added or removed.
+function diffTimelines(before, after) {
+  const unmatched = new Map();
+  for (const e of before) {
+    const key = entryKey(e);
+    unmatched.set(key, [...(unmatched.get(key) || []), e]);
+  }
+  const added = [];
+  for (const e of after) {
+    const same = unmatched.get(entryKey(e));
+    if (same?.length) {
+      same.shift();
+    } else {
+      added.push(e);
+    }
+  }
+  const removed = [...unmatched.values()].flat().sort((a, b) => a.at - b.at);
+  return { added, removed };
+}
+
+// `current` is { counts, ids, timeline }. Returns
+// { counters: [{ counter, before, after }], ids: [{ key, before, after }], added, removed, same }.
+export function compareCheckpoint(checkpoint, current) {
+  const a = flattenCounts(checkpoint.counts);
+  const b = flattenCounts(current.counts);
+  const counters = [];
+  for (const counter of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if ((a[counter] ?? 0) !== (b[counter] ?? 0)) {
+      counters.push({ counter, before: a[counter] ?? 0, after: b[counter] ?? 0 });
+    }
+  }
+
+  const ids = [];
+  for (const key of new Set([...Object.keys(checkpoint.ids || {}), ...Object.keys(current.ids || {})])) {
+    const before = checkpoint.ids?.[key] || "";
+    const after = current.ids?.[key] || "";
+    if (before !== after) {
+      ids.push({ key, before, after });
+    }
+  }
+
+  const { added, removed } = diffTimelines(checkpoint.timeline || [], current.timeline || []);
+  return { counters, ids, added, removed, same: !counters.length && !ids.length && !added.length && !removed.length };
+}
@@ -0,0 +1,103 @@
+// checks.js — consistency rules between the page URL and its identity metadata.
+// Pure functions used by background.js; each warning names the card it belongs to.
+
+// field: the ID card the warning is shown on ("canonical" | "ogUrl" | "jsonLdId")
+function warning(rule, field, message) {
+  return { rule, field, message };
+}
+
+function parseAbsolute(value) {
+  try {
+    const u = new URL(value);
+    return (u.protocol === "http:" || u.protocol === "https:") ? u : null;
+  } catch {
+    return null;
+  }
+}
+
+function isRelative(value, base) {
+  try {
+    new URL(value, base);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function pathOf(u, normalize) {
+  return normalize ? normalize(u).pathname : u.pathname;
+}
+
+// Raw attribute checks: the DOM resolves a relative href silently, so look at what was authored.
+function checkAuthoredCanonical(attr, count, pageUrl, out) {
+  if (count > 1) {
+    out.push(warning("canonical-multiple", "canonical", `${count} rel=canonical links; search engines may ignore all of them`));
+  }
+  if (!attr) {
+    return;
+  }
+  if (parseAbsolute(attr)) {
+    return;
+  }
+  if (isRelative(attr, pageUrl)) {
+    out.push(warning("canonical-relative", "canonical", `Canonical is relative ("${attr}"); use an absolute URL`));
+  } else {
+    out.push(warning("canonical-malformed", "canonical", `Canonical is not a valid URL ("${attr}")`));
+  }
+}
+
+// Runs every rule against one tab's current state. `authored` is { canonicalAttr, canonicalCount }
+// as written in the page, `previousUrl` the URL before the last counted change, and `normalize`
+// applies the origin's normalization rules (URL → URL) before paths are compared.
+export function runChecks({ url, ids = {}, authored = {}, previousUrl = "", normalize = null }) {
+  const out = [];
+  const page = parseAbsolute(url);
+  if (!page) {
+    return out;
+  }
+
+  checkAuthoredCanonical(authored.canonicalAttr || "", authored.canonicalCount || 0, page.href, out);
+
+  const canonical = ids.canonical ? parseAbsolute(ids.canonical) : null;
+  if (ids.canonical && !canonical && !authored.canonicalAttr) {
+    out.push(warning("canonical-malformed", "canonical", "Canonical is not an http(s) URL"));
+  }
+  if (canonical) {
+    if (canonical.origin !== page.origin) {
+      out.push(warning("canonical-origin", "canonical", `Canonical points to another origin (${canonical.origin})`));
+    } else {
+      const canonicalPath = pathOf(canonical, normalize);
+      const pagePath = pathOf(page, normalize);
+      const previous = previousUrl ? parseAbsolute(previousUrl) : null;
+      if (canonicalPath !== pagePath) {
+        // Still naming the previous route after a navigation is the classic SPA bug
+        if (previous && previous.origin === page.origin && pathOf(previous, normalize) === canonicalPath) {
+          out.push(warning("canonical-stale", "canonical", `Canonical still names the previous path (${canonicalPath})`));
+        } else {
+          out.push(warning("canonical-path", "canonical", `Canonical path ${canonicalPath} differs from URL path ${pagePath}`));
+        }
+      }
+    }
+  }
+
+  if (ids.ogUrl) {
+    const og = parseAbsolute(ids.ogUrl);
+    if (!og) {
+      out.push(warning("og-malformed", "ogUrl", "og:url must be an absolute http(s) URL"));
+    } else if (og.origin !== page.origin) {
+      out.push(warning("og-origin", "ogUrl", `og:url points to another origin (${og.origin})`));
+    } else if (canonical && pathOf(og, normalize) !== pathOf(canonical, normalize)) {
+      out.push(warning("og-canonical", "ogUrl", "og:url and canonical disagree on the path"));
+    }
+  }
+
+  // JSON-LD @id is often a fragment ("#organization"); only absolute ids can be compared
+  if (ids.jsonLdId) {
+    const id = parseAbsolute(ids.jsonLdId);
+    if (id && id.origin !== page.origin) {
+      out.push(warning("jsonld-origin", "jsonLdId", `JSON-LD @id points to another origin (${id.origin})`));
+    }
+  }
+
+  return out;
+}
@@ -0,0 +1,237 @@
+// dashboard.js — every tracked tab side by side, and every tracked origin with its tabs
+// summed: sortable, filterable, refreshed whenever the background broadcasts a state
+// change. textContent only.
+
+const fields = {
+  summary: document.getElementById("summary"),
+  filter: document.getElementById("filter"),
+  refreshBtn: document.getElementById("refresh"),
+  headRow: document.getElementById("headRow"),
+  rows: document.getElementById("rows"),
+  originHeadRow: document.getElementById("originHeadRow"),
+  originRows: document.getElementById("originRows"),
+  empty: document.getElementById("empty")
+};
+
+// Column order matches the <th data-key> order in dashboard.html
+const NUMERIC_COLUMNS = ["all", "full", "spa", "hash", "path", "query", "fragment", "canonical", "ogUrl", "jsonLdId", "otherIds"];
+// Origin table only, around the shared columns (see dashboard.html)
+const ORIGIN_COLUMNS = ["tabs", ...NUMERIC_COLUMNS, "views", "perView"];
+const OTHER_ID_KEYS = ["twitterUrl", "hreflang", "ampUrl", "shortlink", "itemId", "baseHref", "title"];
+const REFRESH_DELAY_MS = 300;
+
+let rows = [];
+let sortKey = "all";
+let sortDir = -1; // -1 = descending, 1 = ascending
+let refreshTimer = null;
+
+/* ---------------- Data ---------------- */
+
+function toRow(snap) {
+  const { totals = {}, dims = {}, ids = {} } = snap.counts || {};
+  return {
+    tabId: snap.tabId,
+    windowId: snap.windowId,
+    active: snap.active,
+    title: snap.title || snap.url || "",
+    url: snap.url || "",
+    origin: snap.origin || "",
+    all: totals.all ?? 0,
+    full: totals.full ?? 0,
+    spa: totals.spa ?? 0,
+    hash: totals.hash ?? 0,
+    path: dims.path ?? 0,
+    query: dims.query ?? 0,
+    fragment: dims.fragment ?? 0,
+    canonical: ids.canonical ?? 0,
+    ogUrl: ids.ogUrl ?? 0,
+    jsonLdId: ids.jsonLdId ?? 0,
+    otherIds: OTHER_ID_KEYS.reduce((sum, k) => sum + (ids[k] ?? 0), 0),
+    stats: snap.originStats || null
+  };
+}
+
+// Tab rows summed per origin; views and per-view average come from the origin's stats,
+// which every tab of the origin carries.
+function toOriginRows(tabRows) {
+  const byOrigin = new Map();
+  for (const row of tabRows) {
+    let o = byOrigin.get(row.origin);
+    if (!o) {
+      o = { origin: row.origin, title: row.origin, url: "", tabs: 0, views: row.stats?.views ?? 0, perView: row.stats?.averages?.all ?? 0 };
+      for (const k of NUMERIC_COLUMNS) {
+        o[k] = 0;
+      }
+      byOrigin.set(row.origin, o);
+    }
+    o.tabs += 1;
+    for (const k of NUMERIC_COLUMNS) {
+      o[k] += row[k];
+    }
+  }
+  return [...byOrigin.values()];
+}
+
+function requestRefresh({ immediate = false } = {}) {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+  }
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    browser.runtime.sendMessage({ type: "get-all-states" }).catch(() => {});
+  }, immediate ? 0 : REFRESH_DELAY_MS);
+}
+
+/* ---------------- Rendering ---------------- */
+
+// Both tables share the sort; a key only one table has sorts the other by origin.
+function compareRows(a, b) {
+  const key = sortKey in a ? sortKey : "origin";
+  const x = a[key];
+  const y = b[key];
+  const cmp = typeof x === "number" ? x - y : String(x).localeCompare(String(y));
+  return cmp * sortDir || (a.tabId ?? 0) - (b.tabId ?? 0) || a.origin.localeCompare(b.origin);
+}
+
+function matchesFilter(row, needle) {
+  if (!needle) {
+    return true;
+  }
+  return [row.title, row.origin, row.url].some(v => v.toLowerCase().includes(needle));
+}
+
+function cell(text, className) {
+  const td = document.createElement("td");
+  if (className) {
+    td.className = className;
+  }
+  td.textContent = String(text);
+  return td;
+}
+
+function tabCell(row) {
+  const td = document.createElement("td");
+  td.className = "dash-tab";
+
+  const btn = document.createElement("button");
+  btn.textContent = row.title || "(untitled)";
+  btn.title = `${row.title}\n${row.url}\nClick to switch to this tab`;
+  btn.addEventListener("click", () => focusTab(row));
+
+  const url = document.createElement("div");
+  url.className = "dash-url mono";
+  url.textContent = row.url;
+  url.title = row.url;
+
+  td.append(btn, url);
+  return td;
+}
+
+function renderRows() {
+  const needle = (fields.filter?.value || "").trim().toLowerCase();
+  const visible = rows.filter(r => matchesFilter(r, needle)).sort(compareRows);
+
+  fields.rows.replaceChildren(...visible.map((row) => {
+    const tr = document.createElement("tr");
+    if (row.active) {
+      tr.className = "dash-active";
+    }
+    tr.append(tabCell(row), cell(row.origin, "mono"), ...NUMERIC_COLUMNS.map(k => cell(row[k], "num")));
+    return tr;
+  }));
+
+  const originRows = toOriginRows(visible).sort(compareRows);
+  fields.originRows.replaceChildren(...originRows.map((row) => {
+    const tr = document.createElement("tr");
+    tr.append(cell(row.origin, "mono"), ...ORIGIN_COLUMNS.map(k => cell(row[k], "num")));
+    return tr;
+  }));
+
+  const origins = new Set(rows.map(r => r.origin)).size;
+  fields.summary.textContent = needle
+    ? `${visible.length} of ${rows.length} tabs · ${origins} origins`
+    : `${rows.length} tabs · ${origins} origins`;
+  fields.empty.classList.toggle("is-hidden", visible.length > 0);
+}
+
+function renderSortIndicators() {
+  for (const th of [fields.headRow, fields.originHeadRow].flatMap(row => [...row.querySelectorAll("th[data-key]")])) {
+    if (th.dataset.key === sortKey) {
+      th.setAttribute("aria-sort", sortDir === 1 ? "ascending" : "descending");
+    } else {
+      th.removeAttribute("aria-sort");
+    }
+  }
+}
+
+/* ---------------- Actions ---------------- */
+
+async function focusTab(row) {
+  try {
+    await browser.tabs.update(row.tabId, { active: true });
+    await browser.windows.update(row.windowId, { focused: true });
+  } catch {
+    // tab may have closed; the next refresh drops it
+    requestRefresh({ immediate: true });
+  }
+}
+
+/* ---------------- Events ---------------- */
+
+function onHeadClick(e) {
+  const th = e.target.closest("th[data-key]");
+  if (!th) {
+    return;
+  }
+  const key = th.dataset.key;
+  if (key === sortKey) {
+    sortDir = -sortDir;
+  } else {
+    sortKey = key;
+    sortDir = ORIGIN_COLUMNS.includes(key) ? -1 : 1;
+  }
+  renderSortIndicators();
+  renderRows();
+}
+
+fields.headRow.addEventListener("click", onHeadClick);
+fields.originHeadRow.addEventListener("click", onHeadClick);
+
+fields.filter?.addEventListener("input", () => renderRows());
+fields.refreshBtn?.addEventListener("click", () => requestRefresh({ immediate: true }));
+
+// Secure message handling: only accept messages from our own extension id.
+browser.runtime.onMessage.addListener((msg, sender) => {
+  if (sender?.id !== browser.runtime.id) {
+    return;
+  }
+  if (!msg || !msg.type) {
+    return;
+  }
+
+  if (msg.type === "all-states") {
+    rows = (Array.isArray(msg.tabs) ? msg.tabs : []).map(toRow);
+    renderRows();
+    return;
+  }
+
+  // Any per-tab change may move a row
+  if (msg.type === "url-change-state") {
+    requestRefresh();
+  }
+});
+
+browser.tabs.onRemoved.addListener(() => requestRefresh());
+browser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.title) {
+    requestRefresh();
+  }
+});
+browser.tabs.onActivated.addListener(() => requestRefresh());
+
+/* -------------------------------- Boot -------------------------------- */
+
+(function init() {
+  renderSortIndicators();
+  requestRefresh({ immediate: true });
+})();
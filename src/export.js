@@ -0,0 +1,160 @@
+// export.js — turns a background snapshot (+ timeline) into downloadable files.
+// Pure formatting; the sidebar owns fetching the snapshot and triggering the download.
+
+export const EXPORT_FORMATS = {
+  json: { ext: "json", mime: "application/json" },
+  csv: { ext: "csv", mime: "text/csv" },
+  har: { ext: "har", mime: "application/json" }
+};
+
+const CSV_COLUMNS = [
+  "index", "time", "source", "transition", "historyOp", "from", "to",
+  "path", "query", "fragment", "routeChanged", "route",
+  "canonical", "ogUrl", "jsonLdId", "twitterUrl", "hreflang",
+  "ampUrl", "shortlink", "itemId", "baseHref", "title",
+  "settleMs", "loadMs", "redirects"
+];
+
+function isoTime(ms) {
+  try {
+    return new Date(ms).toISOString();
+  } catch {
+    return "";
+  }
+}
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function queryStringOf(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+export function toJSON(snap) {
+  const { tabId, url, origin, counts, ids, entities, entityCounts, warnings, timing, anomalies, session, timeline, frames, trackingEnabled, exportedAt } = snap;
+  return JSON.stringify({
+    exportedAt: isoTime(exportedAt),
+    tabId,
+    url,
+    origin,
+    trackingEnabled,
+    counts,
+    ids,
+    entities,
+    entityCounts,
+    warnings,
+    timing,
+    session,
+    anomalies: anomalies && { ...anomalies, events: (anomalies.events || []).map(e => ({ ...e, time: isoTime(e.at) })) },
+    timeline: (timeline || []).map(e => ({ ...e, time: isoTime(e.at) })),
+    frames: (frames || []).map(f => ({ ...f, timeline: (f.timeline || []).map(e => ({ ...e, time: isoTime(e.at) })) }))
+  }, null, 2);
+}
+
+// One row per counted change.
+export function toCSV(snap) {
+  const rows = [CSV_COLUMNS.join(",")];
+  (snap.timeline || []).forEach((e, i) => {
+    const changed = e.changed || {};
+    const ids = e.ids || {};
+    rows.push([
+      i + 1, isoTime(e.at), e.source, e.transition?.type, e.historyOp, e.from, e.to,
+      !!changed.path, !!changed.query, !!changed.fragment, !!changed.route, e.route,
+      ids.canonical, ids.ogUrl, ids.jsonLdId, ids.twitterUrl, ids.hreflang,
+      ids.ampUrl, ids.shortlink, ids.itemId, ids.baseHref, ids.title,
+      e.timing?.settleMs, e.timing?.loadMs,
+      (e.redirects || []).map(h => h.url).join(" → ")
+    ].map(csvCell).join(","));
+  });
+  return rows.join("\r\n") + "\r\n";
+}
+
+// HAR 1.2 shape: one page for the baseline, one entry per counted change.
+// Fields HAR has no slot for are carried as underscore-prefixed custom fields.
+export function toHAR(snap, { creatorName = "URL Change Counters", creatorVersion = "" } = {}) {
+  const timeline = snap.timeline || [];
+  const pageId = "page_1";
+  const startedAt = timeline.length ? timeline[0].at : snap.exportedAt;
+
+  const entries = timeline.map((e) => ({
+    pageref: pageId,
+    startedDateTime: isoTime(e.at),
+    time: 0,
+    request: {
+      method: "GET",
+      url: e.to,
+      httpVersion: "",
+      cookies: [],
+      headers: [],
+      queryString: queryStringOf(e.to),
+      headersSize: -1,
+      bodySize: -1
+    },
+    response: {
+      status: 0,
+      statusText: "",
+      httpVersion: "",
+      cookies: [],
+      headers: [],
+      content: { size: 0, mimeType: "" },
+      redirectURL: "",
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 },
+    _source: e.source,
+    _transition: e.transition,
+    _historyOp: e.historyOp,
+    _from: e.from,
+    _route: e.route,
+    _changed: e.changed,
+    _ids: e.ids,
+    _timing: e.timing,
+    _redirects: e.redirects
+  }));
+
+  return JSON.stringify({
+    log: {
+      version: "1.2",
+      creator: { name: creatorName, version: creatorVersion },
+      pages: [{
+        startedDateTime: isoTime(startedAt),
+        id: pageId,
+        title: (timeline.length ? timeline[0].from : snap.url) || snap.origin || "",
+        pageTimings: {},
+        _counts: snap.counts,
+        _ids: snap.ids
+      }],
+      entries
+    }
+  }, null, 2);
+}
+
+export function exportFilename(snap, format) {
+  const { ext } = EXPORT_FORMATS[format] || EXPORT_FORMATS.json;
+  let host = "tab";
+  try {
+    host = new URL(snap.origin || snap.url).host || host;
+  } catch {
+    // ignore
+  }
+  const stamp = isoTime(snap.exportedAt || Date.now()).replace(/[:.]/g, "-");
+  return `url-changes-${host}-${stamp}.${ext}`;
+}
+
+export function formatExport(snap, format, opts) {
+  if (format === "csv") {
+    return toCSV(snap);
+  }
+  if (format === "har") {
+    return toHAR(snap, opts);
+  }
+  return toJSON(snap);
+}
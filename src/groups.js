@@ -0,0 +1,142 @@
+// groups.js — origin groups: several origins (or a whole domain) tracked as one scope.
+// Shared by background.js (scoping + counting), sidebar.js (permission request) and options.js (editing).
+
+export const ORIGIN_GROUPS_KEY = "originGroups"; // storage.local: [{ name, members }]
+
+// A member is either "*.example.com" (the domain and every subdomain, http and https)
+// or an exact "https://host[:port]" origin.
+const WILDCARD_RE = /^\*\.((?:[a-z0-9-]+\.)*[a-z0-9-]+)$/;
+
+// Returns the normalized member, or null if the text is neither form.
+export function parseMember(text) {
+  const t = String(text || "").trim().toLowerCase();
+  const m = WILDCARD_RE.exec(t);
+  if (m) {
+    return `*.${m[1]}`;
+  }
+  try {
+    const u = new URL(t);
+    if ((u.protocol === "http:" || u.protocol === "https:") && `${u.protocol}//${u.host}` === t.replace(/\/$/, "")) {
+      return u.origin;
+    }
+  } catch {
+    // not a URL
+  }
+  return null;
+}
+
+export function sanitizeGroups(raw) {
+  const seen = new Set();
+  return (Array.isArray(raw) ? raw : []).map((g) => {
+    const name = String(g?.name || "").trim();
+    const members = (Array.isArray(g?.members) ? g.members : []).map(parseMember).filter(Boolean);
+    return { name, members: [...new Set(members)] };
+  }).filter((g) => {
+    if (!g.name || !g.members.length || seen.has(g.name)) {
+      return false;
+    }
+    seen.add(g.name);
+    return true;
+  });
+}
+
+// One member per line; returns { members, errors } with the lines that didn't parse.
+export function parseMemberLines(text) {
+  const members = [];
+  const errors = [];
+  for (const line of String(text || "").split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+    const m = parseMember(trimmed);
+    if (m) {
+      members.push(m);
+    } else {
+      errors.push(trimmed);
+    }
+  }
+  return { members, errors };
+}
+
+export function memberMatches(member, origin) {
+  if (!member.startsWith("*.")) {
+    return member === origin;
+  }
+  try {
+    const u = new URL(origin);
+    const domain = member.slice(2);
+    return (u.protocol === "http:" || u.protocol === "https:")
+      && (u.hostname === domain || u.hostname.endsWith(`.${domain}`));
+  } catch {
+    return false;
+  }
+}
+
+// Host permission match pattern for a member.
+export function memberPattern(member) {
+  return member.startsWith("*.") ? `*://${member}/*` : `${member}/*`;
+}
+
+function exactPattern(origin) {
+  try {
+    const u = new URL(origin);
+    return `${u.protocol}//${u.host}/*`;
+  } catch {
+    return null;
+  }
+}
+
+// The tracking scope of an origin: its first matching group, else the origin alone.
+// `key` is what the tracking state is stored under.
+export function scopeOf(groups, origin) {
+  const group = (groups || []).find(g => g.members.some(m => memberMatches(m, origin)));
+  if (group) {
+    return { key: `group:${group.name}`, name: group.name, patterns: group.members.map(memberPattern) };
+  }
+  const pattern = exactPattern(origin);
+  return { key: origin, name: "", patterns: pattern ? [pattern] : [] };
+}
+
+export function sameScope(groups, a, b) {
+  return a === b || (!!a && !!b && scopeOf(groups, a).key === scopeOf(groups, b).key);
+}
+
+// Whether a granted match pattern ("<all_urls>", "*://*.example.com/*", "https://example.com/*")
+// covers an http(s) origin. Only the scheme and host parts are compared.
+const PATTERN_RE = /^(\*|https?):\/\/(\*|\*\.[^/]+|[^/*]+)\//;
+
+export function patternCovers(pattern, origin) {
+  let u;
+  try {
+    u = new URL(origin);
+  } catch {
+    return false;
+  }
+  const scheme = u.protocol.slice(0, -1);
+  if (scheme !== "http" && scheme !== "https") {
+    return false;
+  }
+  if (pattern === "<all_urls>") {
+    return true;
+  }
+  const m = PATTERN_RE.exec(pattern || "");
+  if (!m || (m[1] !== "*" && m[1] !== scheme)) {
+    return false;
+  }
+  const host = m[2];
+  if (host === "*") {
+    return true;
+  }
+  if (host.startsWith("*.")) {
+    const domain = host.slice(2);
+    return u.hostname === domain || u.hostname.endsWith(`.${domain}`);
+  }
+  return host === u.host || host === u.hostname;
+}
+
+// The origin an exact-origin pattern was granted for ("https://example.com/*"), else null.
+export function originOfPattern(pattern) {
+  const m = /^(https?):\/\/([^/*]+)\/\*$/.exec(pattern || "");
+  return m ? `${m[1]}://${m[2]}` : null;
+}
@@ -1,5 +1,8 @@
 // ids.js — injected programmatically; only responds after receiving a valid nonce.
 // Never trusts messages without the expected nonce; never uses innerHTML.
+// Also reports pushState/replaceState/popstate so background can tell them apart,
+// and (when enabled) watches <head> for metadata changes that land after a URL change
+// and times each navigation until the DOM settles.
 
 let EXPECTED_NONCE = null;
 
@@ -7,6 +10,14 @@ function getCanonical() {
   const link = document.querySelector('link[rel="canonical"]');
   return link && link.href ? String(link.href) : "";
 }
+// The href as authored (link.href is already resolved) and how many canonicals there are.
+function getAuthoredCanonical() {
+  const links = document.querySelectorAll('link[rel="canonical"]');
+  return {
+    canonicalAttr: links.length ? String(links[0].getAttribute("href") || "") : "",
+    canonicalCount: links.length
+  };
+}
 function getOgUrl() {
   const meta = document.querySelector('meta[property="og:url"], meta[name="og:url"]');
   return meta && meta.content ? String(meta.content) : "";
@@ -18,7 +29,9 @@ function getJsonLdId() {
       try {
         const obj = JSON.parse(n.textContent || "null");
         if (obj && typeof obj === "object") {
-          const id = Array.isArray(obj) ? (obj.find(x => x && typeof x === "object" && x["@id"]) || {})["@id"] : obj["@id"];
+          // A top-level @graph (the usual Yoast/WordPress shape) holds the ids of its nodes
+          const graph = Array.isArray(obj) ? obj : (!obj["@id"] && Array.isArray(obj["@graph"]) ? obj["@graph"] : null);
+          const id = graph ? (graph.find(x => x && typeof x === "object" && typeof x["@id"] === "string") || {})["@id"] : obj["@id"];
           if (id && typeof id === "string") {
             return id;
           }
@@ -33,6 +46,376 @@ function getJsonLdId() {
   }
 }
 
+/* History API hook: tell background which call produced a same-document change.
+   Wraps the page's pushState/replaceState through Xray (exportFunction), so page code
+   that cached the original functions before injection is not seen. */
+
+// sameUrl: the call left the URL as it was (a pushState to the current URL is a router smell)
+function reportHistoryOp(op, sameUrl = false) {
+  noteUrlChange();
+  startSettle("spa");
+  if (!EXPECTED_NONCE) {
+    return; // nothing is reported until background has sent the nonce
+  }
+  try {
+    browser.runtime.sendMessage({ type: "history-op", op, url: location.href, sameUrl, nonce: EXPECTED_NONCE }).catch(() => {});
+  } catch {
+    // ignore
+  }
+}
+
+function hookHistory() {
+  const pageHistory = window.wrappedJSObject?.history;
+  if (!pageHistory || typeof exportFunction !== "function") {
+    return;
+  }
+  for (const [method, op] of [["pushState", "push"], ["replaceState", "replace"]]) {
+    const original = pageHistory[method];
+    if (typeof original !== "function") {
+      continue;
+    }
+    exportFunction(function (...args) {
+      const before = location.href;
+      const result = original.apply(this, args);
+      reportHistoryOp(op, location.href === before);
+      return result;
+    }, pageHistory, { defineAs: method });
+  }
+  window.addEventListener("popstate", () => reportHistoryOp("pop"));
+}
+
+hookHistory();
+
+// Every schema.org node in every JSON-LD block: arrays, @graph and nested objects.
+const MAX_ENTITIES = 50;
+const MAX_DEPTH = 20;
+
+function refOf(v) {
+  if (typeof v === "string") {
+    return v;
+  }
+  if (v && typeof v === "object" && typeof v["@id"] === "string") {
+    return v["@id"];
+  }
+  if (v && typeof v === "object" && typeof v.url === "string") {
+    return v.url;
+  }
+  return "";
+}
+
+function getJsonLdEntities() {
+  const out = [];
+  const walk = (node, depth) => {
+    if (out.length >= MAX_ENTITIES || depth > MAX_DEPTH || !node || typeof node !== "object") {
+      return;
+    }
+    if (Array.isArray(node)) {
+      for (const n of node) {
+        walk(n, depth + 1);
+      }
+      return;
+    }
+    const type = Array.isArray(node["@type"]) ? node["@type"].join(",") : String(node["@type"] || "");
+    const id = typeof node["@id"] === "string" ? node["@id"] : "";
+    const url = refOf(node.url);
+    const mainEntityOfPage = refOf(node.mainEntityOfPage);
+    // Bare references ({ "@id": … } alone) point at a node reported elsewhere
+    if ((type || url || mainEntityOfPage) && Object.keys(node).length > 1) {
+      out.push({ type, id, url, mainEntityOfPage });
+    }
+    for (const [k, v] of Object.entries(node)) {
+      if (k !== "@context" && v && typeof v === "object") {
+        walk(v, depth + 1);
+      }
+    }
+  };
+  try {
+    for (const n of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        walk(JSON.parse(n.textContent || "null"), 0);
+      } catch {
+        // ignore malformed JSON-LD
+      }
+    }
+  } catch {
+    // ignore
+  }
+  return out;
+}
+
+function getTwitterUrl() {
+  const meta = document.querySelector('meta[name="twitter:url"], meta[property="twitter:url"]');
+  return meta && meta.content ? String(meta.content) : "";
+}
+
+// All hreflang alternates as sorted "lang url" lines, so any drift in the set shows up.
+function getHreflangSet() {
+  const links = document.querySelectorAll('link[rel~="alternate"][hreflang]');
+  const lines = [];
+  for (const l of links) {
+    if (l.href) {
+      lines.push(`${l.hreflang} ${l.href}`);
+    }
+  }
+  return lines.sort().join("\n");
+}
+
+function getLinkHref(rel) {
+  const link = document.querySelector(`link[rel~="${rel}"]`);
+  return link && link.href ? String(link.href) : "";
+}
+
+function getItemId() {
+  const el = document.querySelector("[itemscope][itemid]");
+  return el ? String(el.getAttribute("itemid") || "") : "";
+}
+
+function getBaseHref() {
+  const base = document.querySelector("base[href]");
+  return base && base.href ? String(base.href) : "";
+}
+
+function getTitle() {
+  return String(document.title || "").trim();
+}
+
+function collectIds() {
+  return {
+    canonical: getCanonical(),
+    ogUrl: getOgUrl(),
+    jsonLdId: getJsonLdId(),
+    twitterUrl: getTwitterUrl(),
+    hreflang: getHreflangSet(),
+    ampUrl: getLinkHref("amphtml"),
+    shortlink: getLinkHref("shortlink"),
+    itemId: getItemId(),
+    baseHref: getBaseHref(),
+    title: getTitle(),
+    entities: getJsonLdEntities(),
+    authored: getAuthoredCanonical()
+  };
+}
+
+function sendIds(ids, extra = {}) {
+  try {
+    browser.runtime.sendMessage({ type: "page-ids", ...ids, ...extra, nonce: EXPECTED_NONCE }).catch(() => {});
+  } catch {
+    // ignore
+  }
+}
+
+/* Live observation: a MutationObserver on <head> re-reads the identifiers whenever
+   metadata elements change, and reports how long after the last URL change they moved.
+   Full loads count from navigation start (performance.now() is relative to it). */
+
+const OBSERVE_DEBOUNCE_MS = 50;
+const WATCHED_ATTRIBUTES = ["href", "content", "rel", "property", "name", "hreflang", "itemid"];
+
+let lastUrlChangeAt = 0;
+let lastHref = location.href;
+let observer = null;
+let observeTimer = null;
+let batchStartedAt = 0;
+let lastSentKey = "";
+
+// Returns false when the URL had changed without us seeing it happen (e.g. through a
+// History reference cached before injection); its timing is unknown then.
+function noteUrlChange() {
+  if (location.href === lastHref) {
+    return true;
+  }
+  lastHref = location.href;
+  lastUrlChangeAt = performance.now();
+  return false;
+}
+
+window.addEventListener("hashchange", () => {
+  noteUrlChange();
+  startSettle("hash");
+});
+
+// Returns true when an update was sent.
+function flushObserved() {
+  observeTimer = null;
+  if (!EXPECTED_NONCE) {
+    return false;
+  }
+  const timingKnown = noteUrlChange();
+  const ids = collectIds();
+  const key = JSON.stringify(ids);
+  if (key === lastSentKey) {
+    return false;
+  }
+  lastSentKey = key;
+  sendIds(ids, {
+    reason: "mutation",
+    sinceUrlChangeMs: timingKnown ? Math.round(batchStartedAt - lastUrlChangeAt) : null
+  });
+  return true;
+}
+
+function startObserving() {
+  if (observer) {
+    return;
+  }
+  lastSentKey = JSON.stringify(collectIds());
+  observer = new MutationObserver(() => {
+    if (!observeTimer) {
+      batchStartedAt = performance.now();
+      observeTimer = setTimeout(flushObserved, OBSERVE_DEBOUNCE_MS);
+    }
+  });
+  if (document.head) {
+    observer.observe(document.head, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: WATCHED_ATTRIBUTES
+    });
+  }
+  observeBodyJsonLd();
+}
+
+// JSON-LD can also live in <body>; only those script nodes are watched there, never the
+// whole body. Scripts added later are picked up at the next probe (every URL change).
+let observedScripts = new WeakSet();
+
+function observeBodyJsonLd() {
+  if (!observer) {
+    return;
+  }
+  for (const script of document.querySelectorAll("body script[type=\"application/ld+json\"]")) {
+    if (!observedScripts.has(script)) {
+      observedScripts.add(script);
+      observer.observe(script, { childList: true, subtree: true, characterData: true });
+    }
+  }
+}
+
+function stopObserving() {
+  observer?.disconnect();
+  observer = null;
+  observedScripts = new WeakSet();
+  if (observeTimer) {
+    clearTimeout(observeTimer);
+    observeTimer = null;
+  }
+}
+
+/* Navigation timing: after a History API or anchor change, a MutationObserver on the
+   whole document waits for a quiet period; the settle time is the last mutation before
+   it. Full loads report their PerformanceNavigationTiming once per document, and
+   soft-navigation entries are attached where the browser records them. */
+
+const SETTLE_QUIET_MS = 500;
+const SETTLE_MAX_MS = 10000;
+
+let timingEnabled = false;
+let lastTimedHref = location.href;
+let settle = null; // { url, kind, startedAt, lastMutationAt, mutations, observer, quietTimer, maxTimer }
+let fullLoadReported = false;
+let waitingForLoad = false;
+
+function sendTiming(timing) {
+  if (!EXPECTED_NONCE) {
+    return;
+  }
+  try {
+    browser.runtime.sendMessage({ type: "nav-timing", ...timing, nonce: EXPECTED_NONCE }).catch(() => {});
+  } catch {
+    // ignore
+  }
+}
+
+function softNavigationFor(m) {
+  try {
+    const entry = performance.getEntriesByType("soft-navigation").filter(e => e.name === m.url).pop();
+    return entry ? { startOffsetMs: Math.round(entry.startTime - m.startedAt), durationMs: Math.round(entry.duration) } : null;
+  } catch {
+    return null;
+  }
+}
+
+function cancelSettle() {
+  if (!settle) {
+    return;
+  }
+  settle.observer.disconnect();
+  clearTimeout(settle.quietTimer);
+  clearTimeout(settle.maxTimer);
+  settle = null;
+}
+
+function finishSettle(m, timedOut) {
+  if (settle !== m) {
+    return;
+  }
+  cancelSettle();
+  sendTiming({
+    kind: m.kind,
+    url: m.url,
+    // No mutation at all means the change rendered nothing new: settled at once
+    settleMs: timedOut ? null : Math.round((m.lastMutationAt || m.startedAt) - m.startedAt),
+    mutations: m.mutations,
+    timedOut,
+    softNavigation: softNavigationFor(m)
+  });
+}
+
+function armQuiet(m) {
+  clearTimeout(m.quietTimer);
+  m.quietTimer = setTimeout(() => finishSettle(m, false), SETTLE_QUIET_MS);
+}
+
+// A newer change supersedes a measurement still waiting to settle.
+function startSettle(kind) {
+  if (location.href === lastTimedHref) {
+    return;
+  }
+  lastTimedHref = location.href;
+  if (!timingEnabled) {
+    return;
+  }
+  cancelSettle();
+  const m = { url: location.href, kind, startedAt: performance.now(), lastMutationAt: 0, mutations: 0 };
+  m.observer = new MutationObserver((records) => {
+    m.mutations += records.length;
+    m.lastMutationAt = performance.now();
+    armQuiet(m);
+  });
+  m.observer.observe(document.documentElement, { childList: true, subtree: true, attributes: true, characterData: true });
+  m.maxTimer = setTimeout(() => finishSettle(m, true), SETTLE_MAX_MS);
+  settle = m;
+  armQuiet(m);
+}
+
+function reportFullLoad() {
+  if (fullLoadReported || !timingEnabled) {
+    return;
+  }
+  const [nav] = performance.getEntriesByType("navigation");
+  if (!nav) {
+    return;
+  }
+  if (!nav.loadEventEnd) {
+    if (!waitingForLoad) {
+      waitingForLoad = true;
+      // loadEventEnd is only set once the load handlers have returned
+      window.addEventListener("load", () => setTimeout(reportFullLoad, 0), { once: true });
+    }
+    return;
+  }
+  fullLoadReported = true;
+  sendTiming({
+    kind: "full",
+    url: nav.name,
+    loadMs: Math.round(nav.loadEventEnd),
+    domContentLoadedMs: Math.round(nav.domContentLoadedEventEnd),
+    responseStartMs: Math.round(nav.responseStart)
+  });
+}
+
 browser.runtime.onMessage.addListener((msg) => {
   if (!msg || !msg.type) {
     return;
@@ -43,6 +426,17 @@ browser.runtime.onMessage.addListener((msg) => {
     if (typeof msg.nonce === "string" && msg.nonce.length >= 8) {
       EXPECTED_NONCE = msg.nonce;
     }
+    if (msg.observe === true && window === window.top) { // metadata is only read from the top document
+      startObserving();
+    } else {
+      stopObserving();
+    }
+    timingEnabled = msg.timing === true && window === window.top;
+    if (timingEnabled) {
+      reportFullLoad();
+    } else {
+      cancelSettle();
+    }
     return;
   }
 
@@ -50,18 +444,17 @@ browser.runtime.onMessage.addListener((msg) => {
     if (!EXPECTED_NONCE) {
       return; // refuse to operate without nonce
     }
-    const payload = {
-      type: "page-ids",
-      canonical: getCanonical(),
-      ogUrl: getOgUrl(),
-      jsonLdId: getJsonLdId(),
-      nonce: EXPECTED_NONCE
-    };
-    try {
-      browser.runtime.sendMessage(payload).catch(() => {});
-    } catch {
-      // ignore
+    observeBodyJsonLd();
+    if (observeTimer) {
+      // A mutation batch is pending: report it now, with its timing, rather than as a plain probe
+      clearTimeout(observeTimer);
+      if (flushObserved()) {
+        return;
+      }
     }
+    const ids = collectIds();
+    lastSentKey = JSON.stringify(ids);
+    sendIds(ids);
     return;
   }
 });
@@ -0,0 +1,89 @@
+// normalize.js — per-origin URL normalization applied before diffing.
+// Shared by background.js (counting) and options.js (editing + preview).
+
+export const NORMALIZE_RULES_KEY = "normalizeRules"; // storage.local: { [origin]: rules }
+
+export function defaultRules() {
+  return {
+    ignoreParams: [],        // names; a trailing "*" matches a prefix (e.g. "utm_*")
+    sortQuery: false,        // compare query params regardless of order
+    stripTrailingSlash: false,
+    lowercasePath: false,
+    ignoreFragment: ""       // regex source; matching fragments (without "#") are dropped
+  };
+}
+
+// Coerce whatever came out of storage or a form into a well-formed rule set.
+export function sanitizeRules(raw) {
+  const rules = defaultRules();
+  if (!raw || typeof raw !== "object") {
+    return rules;
+  }
+  const params = Array.isArray(raw.ignoreParams) ? raw.ignoreParams : String(raw.ignoreParams || "").split(",");
+  rules.ignoreParams = params.map(p => String(p).trim()).filter(Boolean);
+  rules.sortQuery = !!raw.sortQuery;
+  rules.stripTrailingSlash = !!raw.stripTrailingSlash;
+  rules.lowercasePath = !!raw.lowercasePath;
+  rules.ignoreFragment = typeof raw.ignoreFragment === "string" ? raw.ignoreFragment.trim() : "";
+  return rules;
+}
+
+// Returns an error message for an invalid fragment regex, else "".
+export function fragmentPatternError(source) {
+  if (!source) {
+    return "";
+  }
+  try {
+    new RegExp(source);
+    return "";
+  } catch (e) {
+    return e.message || "Invalid regular expression";
+  }
+}
+
+function paramMatcher(patterns) {
+  const exact = new Set();
+  const prefixes = [];
+  for (const p of patterns) {
+    if (p.endsWith("*")) {
+      prefixes.push(p.slice(0, -1));
+    } else {
+      exact.add(p);
+    }
+  }
+  return name => exact.has(name) || prefixes.some(prefix => name.startsWith(prefix));
+}
+
+// Returns a normalized copy of a URL object (the input is not modified).
+export function normalizeUrl(url, rules) {
+  const u = new URL(url.href);
+  if (!rules) {
+    return u;
+  }
+
+  let path = u.pathname;
+  if (rules.lowercasePath) {
+    path = path.toLowerCase();
+  }
+  if (rules.stripTrailingSlash && path.length > 1 && path.endsWith("/")) {
+    path = path.replace(/\/+$/, "") || "/";
+  }
+  u.pathname = path;
+
+  if (rules.ignoreParams.length || rules.sortQuery) {
+    const ignored = paramMatcher(rules.ignoreParams);
+    const kept = Array.from(u.searchParams).filter(([name]) => !ignored(name));
+    if (rules.sortQuery) {
+      kept.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    }
+    u.search = kept.length ? new URLSearchParams(kept).toString() : "";
+  }
+
+  if (rules.ignoreFragment && u.hash && !fragmentPatternError(rules.ignoreFragment)) {
+    if (new RegExp(rules.ignoreFragment).test(u.hash.slice(1))) {
+      u.hash = "";
+    }
+  }
+
+  return u;
+}
@@ -0,0 +1,348 @@
+// options.js — edits extension-wide preferences, per-origin URL normalization rules,
+// route patterns and origin groups in storage.local.
+// background.js picks changes up through storage.onChanged; textContent only.
+
+import { NORMALIZE_RULES_KEY, defaultRules, fragmentPatternError, normalizeUrl, sanitizeRules } from "./normalize.js";
+import {
+  ROUTE_RULES_KEY, classifyRoute, compilePattern, defaultRouteRules,
+  formatPatternLines, parsePatternLines, sanitizeRouteRules
+} from "./routes.js";
+import { PREFS_KEY, loadPrefs, sanitizePrefs } from "./prefs.js";
+import { ORIGIN_GROUPS_KEY, memberMatches, parseMemberLines, sanitizeGroups } from "./groups.js";
+
+const fields = {
+  autoBaselineOnFocus: document.getElementById("autoBaselineOnFocus"),
+  observeMetadata: document.getElementById("observeMetadata"),
+  trackFrames: document.getElementById("trackFrames"),
+  measureTiming: document.getElementById("measureTiming"),
+  probeDelayMs: document.getElementById("probeDelayMs"),
+  minLiveMs: document.getElementById("minLiveMs"),
+  burstRate: document.getElementById("burstRate"),
+  badgeColor: document.getElementById("badgeColor"),
+
+  rules: document.getElementById("rules"),
+  ruleTemplate: document.getElementById("ruleTemplate"),
+  addRule: document.getElementById("addRule"),
+  newOrigin: document.getElementById("newOrigin"),
+  routes: document.getElementById("routes"),
+  routeTemplate: document.getElementById("routeTemplate"),
+  addRoute: document.getElementById("addRoute"),
+  newRouteOrigin: document.getElementById("newRouteOrigin"),
+  groups: document.getElementById("groups"),
+  groupTemplate: document.getElementById("groupTemplate"),
+  addGroup: document.getElementById("addGroup"),
+  newGroupName: document.getElementById("newGroupName"),
+  saveBtn: document.getElementById("save"),
+  status: document.getElementById("status")
+};
+
+let statusTimer = null;
+
+/* ---------------- Utilities ---------------- */
+
+function httpOriginOf(text) {
+  try {
+    const u = new URL(String(text).trim());
+    return (u.protocol === "http:" || u.protocol === "https:") ? u.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+function showStatus(message, ms = 1800) {
+  fields.status.textContent = message;
+  if (statusTimer) {
+    clearTimeout(statusTimer);
+  }
+  statusTimer = setTimeout(() => {
+    fields.status.textContent = "";
+  }, ms);
+}
+
+function part(card, name) {
+  return card.querySelector(`[data-field="${name}"]`);
+}
+
+/* ---------------- General preferences ---------------- */
+
+function renderPrefs(prefs) {
+  fields.autoBaselineOnFocus.checked = prefs.autoBaselineOnFocus;
+  fields.observeMetadata.checked = prefs.observeMetadata;
+  fields.trackFrames.checked = prefs.trackFrames;
+  fields.measureTiming.checked = prefs.measureTiming;
+  fields.probeDelayMs.value = String(prefs.probeDelayMs);
+  fields.minLiveMs.value = String(prefs.minLiveMs);
+  fields.burstRate.value = String(prefs.burstRate);
+  fields.badgeColor.value = prefs.badgeColor;
+}
+
+function readPrefs() {
+  return sanitizePrefs({
+    autoBaselineOnFocus: fields.autoBaselineOnFocus.checked,
+    observeMetadata: fields.observeMetadata.checked,
+    trackFrames: fields.trackFrames.checked,
+    measureTiming: fields.measureTiming.checked,
+    probeDelayMs: fields.probeDelayMs.value,
+    minLiveMs: fields.minLiveMs.value,
+    burstRate: fields.burstRate.value,
+    badgeColor: fields.badgeColor.value
+  });
+}
+
+/* ---------------- Rule cards ---------------- */
+
+function readCard(card) {
+  return sanitizeRules({
+    ignoreParams: part(card, "ignoreParams").value,
+    sortQuery: part(card, "sortQuery").checked,
+    stripTrailingSlash: part(card, "stripTrailingSlash").checked,
+    lowercasePath: part(card, "lowercasePath").checked,
+    ignoreFragment: part(card, "ignoreFragment").value
+  });
+}
+
+function refreshCard(card) {
+  const rules = readCard(card);
+  const error = fragmentPatternError(rules.ignoreFragment);
+  part(card, "error").textContent = error ? `Fragment pattern: ${error}` : "";
+  part(card, "ignoreFragment").setAttribute("aria-invalid", error ? "true" : "false");
+
+  const sample = part(card, "sample").value.trim();
+  let preview = "";
+  if (sample) {
+    try {
+      preview = `→ ${normalizeUrl(new URL(sample), rules).href}`;
+    } catch {
+      preview = "(not a valid URL)";
+    }
+  }
+  part(card, "preview").textContent = preview;
+  part(card, "preview").classList.toggle("is-hidden", !preview);
+}
+
+function addCard(origin, rules = defaultRules()) {
+  const card = fields.ruleTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.origin = origin;
+  part(card, "origin").textContent = origin;
+  part(card, "ignoreParams").value = rules.ignoreParams.join(", ");
+  part(card, "sortQuery").checked = rules.sortQuery;
+  part(card, "stripTrailingSlash").checked = rules.stripTrailingSlash;
+  part(card, "lowercasePath").checked = rules.lowercasePath;
+  part(card, "ignoreFragment").value = rules.ignoreFragment;
+  part(card, "sample").value = `${origin}/Some/Path/?utm_source=newsletter&b=2&a=1#section-1`;
+
+  card.addEventListener("input", () => refreshCard(card));
+  part(card, "remove").addEventListener("click", () => card.remove());
+
+  fields.rules.append(card);
+  refreshCard(card);
+  return card;
+}
+
+/* ---------------- Route cards ---------------- */
+
+function readRouteCard(card) {
+  return sanitizeRouteRules({
+    auto: part(card, "auto").checked,
+    patterns: parsePatternLines(part(card, "patterns").value)
+  });
+}
+
+// Returns the first pattern error as text, else "".
+function routePatternError(rules) {
+  for (const p of rules.patterns) {
+    const { error } = compilePattern(p.pattern);
+    if (error) {
+      return `${p.pattern}: ${error}`;
+    }
+  }
+  return "";
+}
+
+function refreshRouteCard(card) {
+  const rules = readRouteCard(card);
+  const error = routePatternError(rules);
+  part(card, "error").textContent = error;
+  part(card, "patterns").setAttribute("aria-invalid", error ? "true" : "false");
+
+  const sample = part(card, "sample").value.trim();
+  const preview = sample ? `→ ${classifyRoute(sample, rules)}` : "";
+  part(card, "preview").textContent = preview;
+  part(card, "preview").classList.toggle("is-hidden", !preview);
+}
+
+function addRouteCard(origin, rules = defaultRouteRules()) {
+  const card = fields.routeTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.origin = origin;
+  part(card, "origin").textContent = origin;
+  part(card, "auto").checked = rules.auto;
+  part(card, "patterns").value = formatPatternLines(rules.patterns);
+  part(card, "sample").value = "/orders/123/items/0f8fad5b-d9cb-469f-a165-70867728950e";
+
+  card.addEventListener("input", () => refreshRouteCard(card));
+  part(card, "remove").addEventListener("click", () => card.remove());
+
+  fields.routes.append(card);
+  refreshRouteCard(card);
+  return card;
+}
+
+/* ---------------- Group cards ---------------- */
+
+// Returns { members, error } for a group card.
+function readGroupCard(card) {
+  const { members, errors } = parseMemberLines(part(card, "members").value);
+  let error = "";
+  if (errors.length) {
+    error = `Not a *.domain or origin: ${errors.join(", ")}`;
+  } else if (!members.length) {
+    error = "Add at least one member";
+  }
+  return { members, error };
+}
+
+function refreshGroupCard(card) {
+  const { members, error } = readGroupCard(card);
+  part(card, "error").textContent = error;
+  part(card, "members").setAttribute("aria-invalid", error ? "true" : "false");
+
+  const sample = httpOriginOf(part(card, "sample").value);
+  const preview = sample ? `→ ${members.some(m => memberMatches(m, sample)) ? "in this group" : "not in this group"}` : "";
+  part(card, "preview").textContent = preview;
+  part(card, "preview").classList.toggle("is-hidden", !preview);
+}
+
+function addGroupCard(name, members = []) {
+  const card = fields.groupTemplate.content.firstElementChild.cloneNode(true);
+  card.dataset.name = name;
+  part(card, "name").textContent = name;
+  part(card, "members").value = members.join("\n");
+
+  card.addEventListener("input", () => refreshGroupCard(card));
+  part(card, "remove").addEventListener("click", () => card.remove());
+
+  fields.groups.append(card);
+  refreshGroupCard(card);
+  return card;
+}
+
+/* ---------------- Load / save ---------------- */
+
+async function load() {
+  renderPrefs(await loadPrefs());
+
+  let stored = {};
+  try {
+    stored = await browser.storage.local.get([NORMALIZE_RULES_KEY, ROUTE_RULES_KEY, ORIGIN_GROUPS_KEY]);
+  } catch {
+    // ignore
+  }
+
+  const normalize = stored[NORMALIZE_RULES_KEY] || {};
+  fields.rules.replaceChildren();
+  for (const origin of Object.keys(normalize).sort()) {
+    addCard(origin, sanitizeRules(normalize[origin]));
+  }
+
+  const routes = stored[ROUTE_RULES_KEY] || {};
+  fields.routes.replaceChildren();
+  for (const origin of Object.keys(routes).sort()) {
+    addRouteCard(origin, sanitizeRouteRules(routes[origin]));
+  }
+
+  // Order matters (first match wins), so groups keep their stored order
+  fields.groups.replaceChildren();
+  for (const group of sanitizeGroups(stored[ORIGIN_GROUPS_KEY])) {
+    addGroupCard(group.name, group.members);
+  }
+}
+
+async function save() {
+  const normalize = {};
+  for (const card of fields.rules.children) {
+    const rules = readCard(card);
+    if (fragmentPatternError(rules.ignoreFragment)) {
+      showStatus(`Fix the fragment pattern for ${card.dataset.origin} first`);
+      return;
+    }
+    normalize[card.dataset.origin] = rules;
+  }
+
+  const routes = {};
+  for (const card of fields.routes.children) {
+    const rules = readRouteCard(card);
+    if (routePatternError(rules)) {
+      showStatus(`Fix the route patterns for ${card.dataset.origin} first`);
+      return;
+    }
+    routes[card.dataset.origin] = rules;
+  }
+
+  const groups = [];
+  for (const card of fields.groups.children) {
+    const { members, error } = readGroupCard(card);
+    if (error) {
+      showStatus(`Fix the members of ${card.dataset.name} first`);
+      return;
+    }
+    groups.push({ name: card.dataset.name, members });
+  }
+
+  const prefs = readPrefs();
+  try {
+    await browser.storage.local.set({
+      [PREFS_KEY]: prefs,
+      [NORMALIZE_RULES_KEY]: normalize,
+      [ROUTE_RULES_KEY]: routes,
+      [ORIGIN_GROUPS_KEY]: sanitizeGroups(groups)
+    });
+    renderPrefs(prefs); // show clamped values
+    showStatus("Saved");
+  } catch {
+    showStatus("Could not save");
+  }
+}
+
+// "Add origin" forms: reuse the card if the origin is already listed.
+function wireAddForm(form, input, container, add, focusField) {
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const origin = httpOriginOf(input.value);
+    if (!origin) {
+      showStatus("Enter an http(s) origin, e.g. https://example.com");
+      return;
+    }
+    const existing = Array.from(container.children).find(c => c.dataset.origin === origin);
+    const card = existing || add(origin);
+    input.value = "";
+    part(card, focusField).focus();
+  });
+}
+
+/* ---------------- Events ---------------- */
+
+wireAddForm(fields.addRule, fields.newOrigin, fields.rules, origin => addCard(origin), "ignoreParams");
+wireAddForm(fields.addRoute, fields.newRouteOrigin, fields.routes, origin => addRouteCard(origin), "patterns");
+
+fields.addGroup.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const name = fields.newGroupName.value.trim();
+  if (!name) {
+    showStatus("Enter a group name");
+    return;
+  }
+  const existing = Array.from(fields.groups.children).find(c => c.dataset.name === name);
+  const card = existing || addGroupCard(name);
+  fields.newGroupName.value = "";
+  part(card, "members").focus();
+});
+
+fields.saveBtn.addEventListener("click", () => {
+  save();
+});
+
+/* -------------------------------- Boot -------------------------------- */
+
+(async function init() {
+  await load();
+})();
@@ -0,0 +1,209 @@
+// origins.js — every host permission the extension holds, with last-seen time and counts
+// rolled up from origin stats; revoke one or many. Follows permission changes made
+// anywhere (sidebar, about:addons) through permissions.onAdded / onRemoved.
+
+const fields = {
+  summary: document.getElementById("summary"),
+  filter: document.getElementById("filter"),
+  refreshBtn: document.getElementById("refresh"),
+  revokeSelectedBtn: document.getElementById("revokeSelected"),
+  selectAll: document.getElementById("selectAll"),
+  rows: document.getElementById("rows"),
+  empty: document.getElementById("empty")
+};
+
+const COUNT_COLUMNS = ["views", "all", "full", "spa", "hash"];
+const TRACKING_LABELS = { on: "On", paused: "Paused", off: "Off" };
+const REFRESH_DELAY_MS = 300;
+
+let rows = [];
+const selected = new Set(); // patterns
+let refreshTimer = null;
+
+/* ---------------- Data ---------------- */
+
+function requestRefresh({ immediate = false } = {}) {
+  if (refreshTimer) {
+    clearTimeout(refreshTimer);
+  }
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    browser.runtime.sendMessage({ type: "get-granted-origins" }).catch(() => {});
+  }, immediate ? 0 : REFRESH_DELAY_MS);
+}
+
+function revoke(patterns) {
+  if (!patterns.length) {
+    return;
+  }
+  for (const p of patterns) {
+    selected.delete(p);
+  }
+  browser.runtime.sendMessage({ type: "revoke-origins", patterns }).catch(() => {});
+}
+
+/* ---------------- Rendering ---------------- */
+
+function formatLastSeen(ms) {
+  return ms ? new Date(ms).toLocaleString() : "never";
+}
+
+function matchesFilter(row, needle) {
+  if (!needle) {
+    return true;
+  }
+  return [row.pattern, row.group, ...row.origins].some(v => v.toLowerCase().includes(needle));
+}
+
+function cell(text, className) {
+  const td = document.createElement("td");
+  if (className) {
+    td.className = className;
+  }
+  td.textContent = String(text);
+  return td;
+}
+
+function checkCell(row) {
+  const td = document.createElement("td");
+  td.className = "dash-check";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.checked = selected.has(row.pattern);
+  box.setAttribute("aria-label", `Select ${row.pattern}`);
+  box.addEventListener("change", () => {
+    if (box.checked) {
+      selected.add(row.pattern);
+    } else {
+      selected.delete(row.pattern);
+    }
+    renderSelection();
+  });
+  td.append(box);
+  return td;
+}
+
+function patternCell(row) {
+  const td = document.createElement("td");
+  td.className = "dash-tab";
+
+  const pattern = document.createElement("div");
+  pattern.className = "mono";
+  pattern.textContent = row.pattern;
+
+  // Wildcard grants list the origins they were seen on
+  const covered = row.origins.filter(o => `${o}/*` !== row.pattern);
+  const detail = document.createElement("div");
+  detail.className = "dash-url mono";
+  detail.textContent = [row.group && `Group: ${row.group}`, covered.join(", ")].filter(Boolean).join(" · ");
+  detail.title = covered.join("\n");
+
+  td.append(pattern, detail);
+  return td;
+}
+
+function revokeCell(row) {
+  const td = document.createElement("td");
+  const btn = document.createElement("button");
+  btn.className = "link-button";
+  btn.textContent = "Revoke";
+  btn.addEventListener("click", () => revoke([row.pattern]));
+  td.append(btn);
+  return td;
+}
+
+function visibleRows() {
+  const needle = (fields.filter?.value || "").trim().toLowerCase();
+  return rows.filter(r => matchesFilter(r, needle));
+}
+
+function renderSelection() {
+  const shown = visibleRows();
+  const chosen = shown.filter(r => selected.has(r.pattern)).length;
+  fields.selectAll.checked = shown.length > 0 && chosen === shown.length;
+  fields.selectAll.indeterminate = chosen > 0 && chosen < shown.length;
+  fields.revokeSelectedBtn.disabled = chosen === 0;
+  fields.revokeSelectedBtn.textContent = chosen ? `Revoke selected (${chosen})` : "Revoke selected";
+}
+
+function renderRows() {
+  const shown = visibleRows();
+
+  fields.rows.replaceChildren(...shown.map((row) => {
+    const tr = document.createElement("tr");
+    tr.append(
+      checkCell(row),
+      patternCell(row),
+      cell(TRACKING_LABELS[row.tracking] || "—"),
+      cell(formatLastSeen(row.lastSeen)),
+      ...COUNT_COLUMNS.map(k => cell(row[k], "num")),
+      revokeCell(row)
+    );
+    return tr;
+  }));
+
+  fields.summary.textContent = shown.length === rows.length
+    ? `${rows.length} granted`
+    : `${shown.length} of ${rows.length} granted`;
+  fields.empty.classList.toggle("is-hidden", shown.length > 0);
+  renderSelection();
+}
+
+/* ---------------- Events ---------------- */
+
+fields.selectAll.addEventListener("change", () => {
+  for (const row of visibleRows()) {
+    if (fields.selectAll.checked) {
+      selected.add(row.pattern);
+    } else {
+      selected.delete(row.pattern);
+    }
+  }
+  renderRows();
+});
+
+// Only what is both selected and shown: a filter hides rows from bulk actions too
+fields.revokeSelectedBtn.addEventListener("click", () => {
+  revoke(visibleRows().filter(r => selected.has(r.pattern)).map(r => r.pattern));
+});
+
+fields.filter?.addEventListener("input", () => renderRows());
+fields.refreshBtn?.addEventListener("click", () => requestRefresh({ immediate: true }));
+
+// Secure message handling: only accept messages from our own extension id.
+browser.runtime.onMessage.addListener((msg, sender) => {
+  if (sender?.id !== browser.runtime.id) {
+    return;
+  }
+  if (!msg || !msg.type) {
+    return;
+  }
+
+  if (msg.type === "granted-origins") {
+    rows = (Array.isArray(msg.origins) ? msg.origins : [])
+      .sort((a, b) => (b.lastSeen || 0) - (a.lastSeen || 0) || a.pattern.localeCompare(b.pattern));
+    // Forget selections whose grant is gone
+    const patterns = new Set(rows.map(r => r.pattern));
+    for (const p of [...selected]) {
+      if (!patterns.has(p)) {
+        selected.delete(p);
+      }
+    }
+    renderRows();
+    return;
+  }
+
+  // Counts and tracking states move with tab activity
+  if (msg.type === "url-change-state" || msg.type === "set-tracking-result") {
+    requestRefresh();
+  }
+});
+
+browser.permissions.onAdded.addListener(() => requestRefresh({ immediate: true }));
+browser.permissions.onRemoved.addListener(() => requestRefresh({ immediate: true }));
+
+/* -------------------------------- Boot -------------------------------- */
+
+(function init() {
+  requestRefresh({ immediate: true });
+})();
@@ -0,0 +1,56 @@
+// prefs.js — extension-wide preferences in storage.local.
+// Shared by background.js, sidebar.js and options.js; changes apply live via storage.onChanged.
+
+export const PREFS_KEY = "preferences";
+
+export function defaultPrefs() {
+  return {
+    probeDelayMs: 150,         // debounce before re-probing page metadata after a change
+    minLiveMs: 500,            // minimum time the sidebar shows "Live" before "Synced"
+    badgeColor: "#444444",     // toolbar badge background
+    autoBaselineOnFocus: true, // re-baseline a tracked tab whenever it gains focus
+    observeMetadata: true,     // watch <head> for metadata changes between probes
+    trackFrames: false,        // separate counters for subframes on permitted origins
+    measureTiming: true,       // time each navigation until the DOM settles
+    burstRate: 10              // navigations per second above which a tab is flagged as bursting
+  };
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.round(Number(value));
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+export function sanitizePrefs(raw) {
+  const d = defaultPrefs();
+  if (!raw || typeof raw !== "object") {
+    return d;
+  }
+  return {
+    probeDelayMs: clampInt(raw.probeDelayMs, 0, 5000, d.probeDelayMs),
+    minLiveMs: clampInt(raw.minLiveMs, 0, 5000, d.minLiveMs),
+    badgeColor: /^#[0-9a-f]{6}$/i.test(raw.badgeColor || "") ? raw.badgeColor : d.badgeColor,
+    autoBaselineOnFocus: raw.autoBaselineOnFocus !== false,
+    observeMetadata: raw.observeMetadata !== false,
+    trackFrames: raw.trackFrames === true,
+    measureTiming: raw.measureTiming !== false,
+    burstRate: clampInt(raw.burstRate, 2, 100, d.burstRate)
+  };
+}
+
+export async function loadPrefs() {
+  try {
+    return sanitizePrefs((await browser.storage.local.get(PREFS_KEY))[PREFS_KEY]);
+  } catch {
+    return defaultPrefs();
+  }
+}
+
+// Calls back with the new preferences whenever they are saved.
+export function watchPrefs(callback) {
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[PREFS_KEY]) {
+      callback(sanitizePrefs(changes[PREFS_KEY].newValue));
+    }
+  });
+}
@@ -0,0 +1,189 @@
+// recordings.js — recorded navigation sessions: the URL changes of one tab with how each
+// happened and the metadata the page settled on, and the diff of a replay against them.
+// Pure functions used by background.js (recording, replay driving, the diff); checkpoints.js
+// shares flattenCounts.
+
+export const RECORDINGS_KEY = "recordings"; // storage.local: { [id]: saved recording }
+
+// Saved recordings kept (oldest are dropped first) and steps per recording
+export const MAX_RECORDINGS = 20;
+const MAX_STEPS = 500;
+
+export function newRecording(name, url, now) {
+  return {
+    name: String(name || "").trim() || "Recording",
+    startedAt: now,
+    startUrl: url,
+    startIds: null, // metadata of the start page, once reported
+    steps: [], // [{ offsetMs, at, url, source, historyOp, transition, ids }]
+    counts: {} // counts of segments already ended by a baseline (see foldSegment)
+  };
+}
+
+// One counted change (a timeline entry). Returns false once the recording is full.
+export function addStep(rec, entry) {
+  if (rec.steps.length >= MAX_STEPS) {
+    return false;
+  }
+  rec.steps.push({
+    offsetMs: Math.max(0, entry.at - rec.startedAt),
+    at: entry.at,
+    url: entry.to,
+    source: entry.source,
+    historyOp: entry.historyOp || null,
+    transition: entry.transition || null,
+    ids: null
+  });
+  return true;
+}
+
+// Metadata reported for `url` belongs to the newest step (or the start page) while it's still shown;
+// later reports overwrite earlier ones so a step keeps what the page settled on.
+export function noteIds(rec, url, ids) {
+  const last = rec.steps[rec.steps.length - 1];
+  if (last) {
+    if (last.url === url) {
+      last.ids = { ...ids };
+    }
+  } else if (rec.startUrl === url) {
+    rec.startIds = { ...ids };
+  }
+}
+
+// History API ops and transitions arrive after the change; pick them up from the timeline.
+function fillDetails(steps, timeline) {
+  for (const step of steps) {
+    const entry = timeline.find(e => e.at === step.at && e.to === step.url);
+    if (entry) {
+      step.historyOp = step.historyOp || entry.historyOp || null;
+      step.transition = step.transition || entry.transition || null;
+    }
+  }
+}
+
+function addCounts(target, src) {
+  for (const [group, values] of Object.entries(src || {})) {
+    const into = target[group] || (target[group] = {});
+    for (const [key, v] of Object.entries(values || {})) {
+      into[key] = (into[key] || 0) + (Number(v) || 0);
+    }
+  }
+}
+
+// Anything that clears the tab's counts and timeline while recording (a baseline, tracking
+// off, access revoked) folds them into the recording first so it covers the whole flow.
+export function foldSegment(rec, { counts, timeline = [] }) {
+  fillDetails(rec.steps, timeline);
+  rec.counts = rec.counts || {};
+  addCounts(rec.counts, counts);
+}
+
+export function finishRecording(rec, { counts, timeline = [], now }) {
+  foldSegment(rec, { counts, timeline });
+  return {
+    id: `${now}-${Math.random().toString(16).slice(2, 10)}`,
+    name: rec.name,
+    createdAt: rec.startedAt,
+    durationMs: Math.max(0, now - rec.startedAt),
+    startUrl: rec.startUrl,
+    startIds: rec.startIds,
+    steps: rec.steps,
+    counts: rec.counts
+  };
+}
+
+export function isRecording(raw) {
+  return !!raw && typeof raw === "object" && typeof raw.id === "string" && typeof raw.startUrl === "string"
+    && Array.isArray(raw.steps) && !!raw.counts && typeof raw.counts === "object";
+}
+
+/* ---- Replay ---- */
+
+// How to reproduce step i: "load" (tabs.update), "hash" (assign the URL), "push" / "replace"
+// (the page's own history methods) or "back" when a pop returned to the URL before the previous one.
+export function replayOp(rec, i) {
+  const step = rec.steps[i];
+  if (step.source === "full") {
+    return "load";
+  }
+  if (step.source === "hash") {
+    return "hash";
+  }
+  if (step.historyOp === "replace") {
+    return "replace";
+  }
+  if (step.historyOp === "pop") {
+    const urls = [rec.startUrl, ...rec.steps.map(s => s.url)];
+    return urls[i - 1] === step.url ? "back" : "push";
+  }
+  return "push";
+}
+
+/* ---- Diff ---- */
+
+// { group: { key: n } } → { "group.key": n }
+export function flattenCounts(counts) {
+  const out = {};
+  for (const [group, values] of Object.entries(counts || {})) {
+    for (const [key, v] of Object.entries(values || {})) {
+      out[`${group}.${key}`] = Number(v) || 0;
+    }
+  }
+  return out;
+}
+
+// Only metadata the original saw is compared; a step whose ids never arrived has nothing to hold against.
+function diffIds(original, replayed, out) {
+  if (!original) {
+    return;
+  }
+  for (const [key, value] of Object.entries(original)) {
+    const now = replayed?.[key] ?? "";
+    if ((value ?? "") !== now) {
+      out.push({ field: `ids.${key}`, original: value ?? "", replay: now });
+    }
+  }
+}
+
+// Returns { counts: [{ counter, original, replay }], steps: [{ index, url, differences }], same }.
+// Step index 0 is the start page; step n is the n-th recorded change.
+export function diffRecordings(original, replayed) {
+  const counts = [];
+  const a = flattenCounts(original.counts);
+  const b = flattenCounts(replayed.counts);
+  for (const counter of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if ((a[counter] ?? 0) !== (b[counter] ?? 0)) {
+      counts.push({ counter, original: a[counter] ?? 0, replay: b[counter] ?? 0 });
+    }
+  }
+
+  const steps = [];
+  const start = [];
+  diffIds(original.startIds, replayed.startIds, start);
+  if (start.length) {
+    steps.push({ index: 0, url: original.startUrl, differences: start });
+  }
+  const total = Math.max(original.steps.length, replayed.steps.length);
+  for (let i = 0; i < total; i++) {
+    const o = original.steps[i];
+    const r = replayed.steps[i];
+    const differences = [];
+    if (!r) {
+      differences.push({ field: "step", original: o.url, replay: "" });
+    } else if (!o) {
+      differences.push({ field: "step", original: "", replay: r.url });
+    } else {
+      for (const field of ["url", "source"]) {
+        if (o[field] !== r[field]) {
+          differences.push({ field, original: o[field], replay: r[field] });
+        }
+      }
+      diffIds(o.ids, r.ids, differences);
+    }
+    if (differences.length) {
+      steps.push({ index: i + 1, url: (o || r).url, differences });
+    }
+  }
+
+  return { counts, steps, same: !counts.length && !steps.length };
+}
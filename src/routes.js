@@ -0,0 +1,101 @@
+// routes.js — groups paths into route templates (e.g. /users/:id) per origin.
+// Shared by background.js (classification) and options.js (editing + preview).
+
+export const ROUTE_RULES_KEY = "routeRules"; // storage.local: { [origin]: { auto, patterns } }
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_RE = /^[0-9a-f]{16,}$/i;
+const NUMERIC_RE = /^\d+$/;
+
+export function defaultRouteRules() {
+  return {
+    auto: true,   // collapse numeric / UUID / long hex segments when no pattern matches
+    patterns: []  // [{ name, pattern }] — Express-style ("/users/:id") or "re:<regex>"
+  };
+}
+
+export function sanitizeRouteRules(raw) {
+  const rules = defaultRouteRules();
+  if (!raw || typeof raw !== "object") {
+    return rules;
+  }
+  rules.auto = raw.auto !== false;
+  rules.patterns = (Array.isArray(raw.patterns) ? raw.patterns : [])
+    .map(p => ({ name: String(p?.name || "").trim(), pattern: String(p?.pattern || "").trim() }))
+    .filter(p => p.pattern);
+  return rules;
+}
+
+// One pattern per line: "pattern" or "name = pattern".
+export function parsePatternLines(text) {
+  return String(text || "").split("\n").map((line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return null;
+    }
+    const eq = trimmed.indexOf(" = ");
+    return eq === -1
+      ? { name: "", pattern: trimmed }
+      : { name: trimmed.slice(0, eq).trim(), pattern: trimmed.slice(eq + 3).trim() };
+  }).filter(Boolean);
+}
+
+export function formatPatternLines(patterns) {
+  return patterns.map(p => (p.name ? `${p.name} = ${p.pattern}` : p.pattern)).join("\n");
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Returns { regex } or { error }.
+export function compilePattern(pattern) {
+  if (pattern.startsWith("re:")) {
+    try {
+      return { regex: new RegExp(pattern.slice(3)) };
+    } catch (e) {
+      return { error: e.message || "Invalid regular expression" };
+    }
+  }
+  if (!pattern.startsWith("/")) {
+    return { error: "Route patterns start with \"/\" (or \"re:\" for a regular expression)" };
+  }
+  // Express-style: ":param" = one segment, ":param?" = optional segment, "*" = anything
+  const body = pattern.replace(/\/+$/, "").split("/").slice(1).map((seg) => {
+    if (/^:\w+\?$/.test(seg)) {
+      return "(?:/[^/]+)?";
+    }
+    if (/^:\w+$/.test(seg)) {
+      return "/[^/]+";
+    }
+    return "/" + seg.split("*").map(escapeRegExp).join(".*");
+  }).join("");
+  return { regex: new RegExp(`^${body}/?$`) };
+}
+
+export function autoRoute(pathname) {
+  return pathname.split("/").map((seg) => {
+    if (NUMERIC_RE.test(seg)) {
+      return ":n";
+    }
+    if (UUID_RE.test(seg)) {
+      return ":uuid";
+    }
+    if (HEX_RE.test(seg)) {
+      return ":hash";
+    }
+    return seg;
+  }).join("/") || "/";
+}
+
+// Route name for a path: first matching pattern, else auto-collapsed path, else the path.
+export function classifyRoute(pathname, rules) {
+  const r = rules || defaultRouteRules();
+  for (const p of r.patterns) {
+    const { regex } = compilePattern(p.pattern);
+    if (regex && regex.test(pathname)) {
+      return p.name || p.pattern;
+    }
+  }
+  return r.auto ? autoRoute(pathname) : pathname;
+}
@@ -1,28 +1,115 @@
 // sidebar.js — class-based banner/toast, hardened messaging, permission request/revoke,
 // about: support with robust clearing, yellow flash, and dynamic tab title tooltip.
 
+import { EXPORT_FORMATS, exportFilename, formatExport } from "./export.js";
+import { defaultPrefs, loadPrefs, watchPrefs } from "./prefs.js";
+import { parseSessionSpec } from "./assertions.js";
+import { compareCheckpoint } from "./checkpoints.js";
+
 const fields = {
   tabTitle: document.getElementById("tabTitle"),
   liveBadge: document.getElementById("liveBadge"),
   resetBtn: document.getElementById("reset"),
+  exportBtn: document.getElementById("export"),
+  exportFormat: document.getElementById("exportFormat"),
+  openDashboard: document.getElementById("openDashboard"),
+  openOptions: document.getElementById("openOptions"),
+  openOrigins: document.getElementById("openOrigins"),
 
   all: document.getElementById("all"),
   full: document.getElementById("full"),
   spa: document.getElementById("spa"),
+  hash: document.getElementById("hash"),
   path: document.getElementById("path"),
   query: document.getElementById("query"),
   frag: document.getElementById("frag"),
+  routeCount: document.getElementById("routeCount"),
+
+  histPush: document.getElementById("histPush"),
+  histReplace: document.getElementById("histReplace"),
+  histPop: document.getElementById("histPop"),
+  trLink: document.getElementById("trLink"),
+  trTyped: document.getElementById("trTyped"),
+  trReload: document.getElementById("trReload"),
+  trBackForward: document.getElementById("trBackForward"),
+  trForm: document.getElementById("trForm"),
+  trOther: document.getElementById("trOther"),
+  redirected: document.getElementById("redirected"),
+  redirServer: document.getElementById("redirServer"),
+  redirClient: document.getElementById("redirClient"),
+
+  timelineCount: document.getElementById("timelineCount"),
+  timelineList: document.getElementById("timelineList"),
+  timelineEmpty: document.getElementById("timelineEmpty"),
 
   coreOrigin: document.getElementById("coreOrigin"),
   coreUrl: document.getElementById("coreUrl"),
+  routeName: document.getElementById("routeName"),
+  statsViews: document.getElementById("statsViews"),
+  statsAll: document.getElementById("statsAll"),
+  statsAvg: document.getElementById("statsAvg"),
+  statsAvgFull: document.getElementById("statsAvgFull"),
+  statsAvgSpa: document.getElementById("statsAvgSpa"),
+  statsAvgHash: document.getElementById("statsAvgHash"),
+  statsPaths: document.getElementById("statsPaths"),
+  timingCount: document.getElementById("timingCount"),
+  suspicious: document.getElementById("suspicious"),
+  sessionStatus: document.getElementById("sessionStatus"),
+  sessionSpec: document.getElementById("sessionSpec"),
+  sessionError: document.getElementById("sessionError"),
+  sessionFile: document.getElementById("sessionFile"),
+  sessionLoad: document.getElementById("sessionLoad"),
+  sessionArm: document.getElementById("sessionArm"),
+  sessionDisarm: document.getElementById("sessionDisarm"),
+  sessionResults: document.getElementById("sessionResults"),
+  recorderStatus: document.getElementById("recorderStatus"),
+  recordName: document.getElementById("recordName"),
+  recordStart: document.getElementById("recordStart"),
+  recordStop: document.getElementById("recordStop"),
+  recordError: document.getElementById("recordError"),
+  replayDiff: document.getElementById("replayDiff"),
+  recordingList: document.getElementById("recordingList"),
+  checkpointStatus: document.getElementById("checkpointStatus"),
+  checkpointName: document.getElementById("checkpointName"),
+  checkpointSave: document.getElementById("checkpointSave"),
+  checkpointSelect: document.getElementById("checkpointSelect"),
+  checkpointDelete: document.getElementById("checkpointDelete"),
+  compareView: document.getElementById("compareView"),
+  suspiciousCount: document.getElementById("suspiciousCount"),
+  suspiciousList: document.getElementById("suspiciousList"),
+  anomDuplicate: document.getElementById("anomDuplicate"),
+  anomOscillation: document.getElementById("anomOscillation"),
+  anomBurst: document.getElementById("anomBurst"),
+  timingRows: document.getElementById("timingRows"),
   canonUrl: document.getElementById("canonUrl"),
   canonCount: document.getElementById("canonCount"),
+  canonWarnings: document.getElementById("canonWarnings"),
   ogUrl: document.getElementById("ogUrl"),
   ogCount: document.getElementById("ogCount"),
+  ogWarnings: document.getElementById("ogWarnings"),
   jsonId: document.getElementById("jsonId"),
   jsonCount: document.getElementById("jsonCount"),
-
-  trackToggle: document.getElementById("trackToggle"),
+  jsonWarnings: document.getElementById("jsonWarnings"),
+  entitiesCount: document.getElementById("entitiesCount"),
+  entityList: document.getElementById("entityList"),
+  twitterUrl: document.getElementById("twitterUrl"),
+  twitterCount: document.getElementById("twitterCount"),
+  hreflangSet: document.getElementById("hreflangSet"),
+  hreflangCount: document.getElementById("hreflangCount"),
+  ampUrl: document.getElementById("ampUrl"),
+  ampCount: document.getElementById("ampCount"),
+  shortlink: document.getElementById("shortlink"),
+  shortlinkCount: document.getElementById("shortlinkCount"),
+  itemId: document.getElementById("itemId"),
+  itemIdCount: document.getElementById("itemIdCount"),
+  baseHref: document.getElementById("baseHref"),
+  baseCount: document.getElementById("baseCount"),
+  docTitle: document.getElementById("docTitle"),
+  titleCount: document.getElementById("titleCount"),
+
+  trackState: document.getElementById("trackState"),
+  frameRow: document.getElementById("frameRow"),
+  frameSelect: document.getElementById("frameSelect"),
   trackStatus: document.getElementById("trackStatus"),
 
   unavailableBanner: document.getElementById("unavailableBanner"),
@@ -31,11 +118,64 @@ const fields = {
 
 let selectedTabId = null;
 let currentTrackingEnabled = null; // null = unknown
-const MIN_LIVE_MS = 500;
+let currentTrackingState = null; // "on" | "paused" | "off" for the current origin; null = unknown
+let minLiveMs = defaultPrefs().minLiveMs; // from preferences; see init()
 let liveShownAt = 0;
 let flipTimer = null;
 let lastFocusedWindowId = null;
 let lastKnownProtocol = null;
+let pendingExportId = null;
+let selectedFrameKey = ""; // "" = top document; else a key of snap.frames
+let lastSnapshot = null;
+
+// Navigation-type tiles: [element, counts group, key]
+const BREAKDOWN = [
+  [fields.histPush, "history", "push"],
+  [fields.histReplace, "history", "replace"],
+  [fields.histPop, "history", "pop"],
+  [fields.trLink, "transitions", "link"],
+  [fields.trTyped, "transitions", "typed"],
+  [fields.trReload, "transitions", "reload"],
+  [fields.trBackForward, "transitions", "forward_back"],
+  [fields.trForm, "transitions", "form_submit"],
+  [fields.trOther, "transitions", "other"],
+  [fields.redirected, "dims", "redirect"],
+  [fields.redirServer, "redirects", "server"],
+  [fields.redirClient, "redirects", "client"]
+];
+
+// Identity-signal cards: [ids key, value element, count element, label]
+const ID_CARDS = [
+  ["canonical", fields.canonUrl, fields.canonCount, "Canonical"],
+  ["ogUrl", fields.ogUrl, fields.ogCount, "Opengraph URL"],
+  ["jsonLdId", fields.jsonId, fields.jsonCount, "JSON-LD @id"],
+  ["twitterUrl", fields.twitterUrl, fields.twitterCount, "Twitter URL"],
+  ["hreflang", fields.hreflangSet, fields.hreflangCount, "hreflang alternates"],
+  ["ampUrl", fields.ampUrl, fields.ampCount, "AMP URL"],
+  ["shortlink", fields.shortlink, fields.shortlinkCount, "Shortlink"],
+  ["itemId", fields.itemId, fields.itemIdCount, "Microdata itemid"],
+  ["baseHref", fields.baseHref, fields.baseCount, "Base href"],
+  ["title", fields.docTitle, fields.titleCount, "Document title"]
+];
+
+// Consistency warnings (checks.js): card container per field, short chip text per rule
+const WARNING_CHIPS = {
+  canonical: fields.canonWarnings,
+  ogUrl: fields.ogWarnings,
+  jsonLdId: fields.jsonWarnings
+};
+const WARNING_LABELS = {
+  "canonical-multiple": "Multiple",
+  "canonical-relative": "Relative",
+  "canonical-malformed": "Malformed",
+  "canonical-origin": "Other origin",
+  "canonical-stale": "Stale",
+  "canonical-path": "Path mismatch",
+  "og-malformed": "Malformed",
+  "og-origin": "Other origin",
+  "og-canonical": "≠ canonical",
+  "jsonld-origin": "Other origin"
+};
 
 /* ---------------- Utilities ---------------- */
 
@@ -91,6 +231,37 @@ function patternForOriginText(originText) {
   }
 }
 
+/* ---------------- Tracking control ---------------- */
+
+const TRACKING_STATES = ["on", "paused", "off"];
+
+function trackRadios() {
+  return fields.trackState ? Array.from(fields.trackState.querySelectorAll('input[name="tracking"]')) : [];
+}
+
+function setTrackControl(state, { disabled = false, note = "" } = {}) {
+  for (const r of trackRadios()) {
+    r.checked = r.value === state;
+    r.disabled = disabled;
+  }
+  if (fields.trackStatus) {
+    setText(fields.trackStatus, note);
+  }
+}
+
+function trackingNote(snap) {
+  const notes = [];
+  if (snap.scope?.name) {
+    notes.push(`Group: ${snap.scope.name}`);
+  }
+  if (snap.trackingState === "on" && !snap.hasPermission) {
+    notes.push("Permission needed");
+  } else if (snap.trackingState === "paused") {
+    notes.push("Counts frozen");
+  }
+  return notes.join(" · ");
+}
+
 /* ---------------- Badge (class-based) ---------------- */
 
 function showLiveBadge() {
@@ -151,32 +322,33 @@ function showUnavailableBanner(show) {
 }
 
 function applyUnavailableUI(originText, note = "(unavailable here)") {
-  if (fields.trackToggle) {
-    fields.trackToggle.disabled = true;
-    fields.trackToggle.checked = false;
-  }
-  if (fields.trackStatus) {
-    setText(fields.trackStatus, "Off");
-  }
+  setTrackControl("off", { disabled: true });
   if (fields.resetBtn) {
     fields.resetBtn.disabled = true;
   }
+  if (fields.exportBtn) {
+    fields.exportBtn.disabled = true;
+  }
 
   setTextWithFlash(fields.coreOrigin, originText || "(none)", { flash: false });
 
   const dash = "—";
   multiSet([
-    [fields.all, dash], [fields.full, dash], [fields.spa, dash],
-    [fields.path, dash], [fields.query, dash], [fields.frag, dash]
+    [fields.all, dash], [fields.full, dash], [fields.spa, dash], [fields.hash, dash],
+    [fields.path, dash], [fields.query, dash], [fields.frag, dash], [fields.routeCount, dash],
+    ...BREAKDOWN.map(([el]) => [el, dash])
   ], { flash: false });
 
   multiSet([
     [fields.coreUrl, note],
-    [fields.canonUrl, note],
-    [fields.ogUrl, note],
-    [fields.jsonId, note]
+    [fields.routeName, ""],
+    ...ID_CARDS.map(([, el]) => [el, note])
   ], { flash: false });
 
+  renderTimeline([]);
+  renderOriginStats(null);
+  renderEntities(null);
+  renderWarnings(null);
   showUnavailableBanner(true);
   hideBadge();
 }
@@ -185,17 +357,548 @@ function clearUnavailableUI() {
   if (fields.resetBtn) {
     fields.resetBtn.disabled = false;
   }
+  if (fields.exportBtn) {
+    fields.exportBtn.disabled = false;
+  }
   showUnavailableBanner(false);
 }
 
+/* ---------------- Timeline ---------------- */
+
+const SOURCE_LABELS = { full: "Full", spa: "History API", hash: "Anchor" };
+const HISTORY_OP_LABELS = { push: "pushState", replace: "replaceState", pop: "popstate" };
+
+function kindLabel(entry) {
+  const source = SOURCE_LABELS[entry.source] || entry.source;
+  if (entry.historyOp) {
+    return `${source} · ${HISTORY_OP_LABELS[entry.historyOp] || entry.historyOp}`;
+  }
+  if (entry.transition) {
+    return `${source} · ${entry.transition.type}`;
+  }
+  return source;
+}
+
+function formatTime(ms) {
+  const d = new Date(ms);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}.${pad(d.getMilliseconds(), 3)}`;
+}
+
+function describeRedirectHop(hop) {
+  const how = hop.type === "client" ? "client" : (hop.status ? String(hop.status) : "server");
+  return `  ${hop.url} (${how})`;
+}
+
+function describeTiming(t) {
+  if (!t) {
+    return "";
+  }
+  if (Number.isFinite(t.loadMs)) {
+    return `Load: ${t.loadMs} ms (DOMContentLoaded ${t.domContentLoadedMs ?? "?"} ms)`;
+  }
+  if (t.timedOut) {
+    return "Settle: still changing after 10 s";
+  }
+  return Number.isFinite(t.settleMs) ? `Settle: ${t.settleMs} ms (${t.mutations ?? 0} mutations)` : "";
+}
+
+function describeTimelineEntry(entry) {
+  const lines = [`From: ${entry.from || "(none)"}`, `To: ${entry.to}`];
+  if (entry.route) {
+    lines.push(`Route: ${entry.route}`);
+  }
+  if (entry.transition) {
+    const q = entry.transition.qualifiers || [];
+    lines.push(`Transition: ${entry.transition.type}${q.length ? ` (${q.join(", ")})` : ""}`);
+  }
+  if (Array.isArray(entry.redirects) && entry.redirects.length) {
+    lines.push("Redirects:", ...entry.redirects.map(describeRedirectHop));
+  }
+  const timing = describeTiming(entry.timing);
+  if (timing) {
+    lines.push(timing);
+  }
+  const ids = entry.ids || {};
+  for (const [key, , , label] of ID_CARDS) {
+    if (ids[key]) {
+      lines.push(`${label}: ${ids[key]}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+function timelineItem(entry, index) {
+  const li = document.createElement("li");
+  li.className = "timeline-item";
+  li.title = describeTimelineEntry(entry);
+
+  const meta = document.createElement("div");
+  meta.className = "timeline-meta";
+
+  const num = document.createElement("span");
+  num.textContent = `#${index + 1}`;
+  const time = document.createElement("span");
+  time.textContent = formatTime(entry.at);
+  const source = document.createElement("span");
+  source.className = "timeline-source";
+  source.textContent = kindLabel(entry);
+  const changed = document.createElement("span");
+  const parts = Object.keys(entry.changed || {}).filter(k => entry.changed[k]);
+  if (entry.redirects?.length) {
+    parts.push(`redirect×${entry.redirects.length}`);
+  }
+  for (const type of entry.anomalies || []) {
+    parts.push(`⚠ ${ANOMALY_LABELS[type] || type}`);
+  }
+  changed.textContent = parts.join(" ");
+  meta.append(num, time, source, changed);
+
+  const url = document.createElement("div");
+  url.className = "timeline-url mono";
+  url.textContent = entry.to;
+
+  li.append(meta, url);
+  return li;
+}
+
+function renderTimeline(entries) {
+  const list = fields.timelineList;
+  if (!list) {
+    return;
+  }
+  const items = Array.isArray(entries) ? entries : [];
+  setText(fields.timelineCount, items.length);
+  fields.timelineEmpty?.classList.toggle("is-hidden", items.length > 0);
+
+  // Only rebuild when the list actually changed: entries are appended between baselines, and
+  // details that arrive later (History API call, transition, timing) bump the entry's rev
+  const lastAt = items.length ? String(items[items.length - 1].at) : "";
+  const revs = String(items.reduce((sum, e) => sum + (e.rev || 0), 0));
+  if (list.dataset.length === String(items.length) && list.dataset.lastAt === lastAt && list.dataset.revs === revs) {
+    return;
+  }
+  const stickToBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+  list.replaceChildren(...items.map(timelineItem));
+  list.dataset.length = String(items.length);
+  list.dataset.lastAt = lastAt;
+  list.dataset.revs = revs;
+  if (stickToBottom) {
+    list.scrollTop = list.scrollHeight;
+  }
+}
+
+/* ---------------- Origin stats ---------------- */
+
+function renderOriginStats(stats) {
+  if (!stats) {
+    const dash = "—";
+    multiSet([
+      [fields.statsViews, dash], [fields.statsAll, dash], [fields.statsAvg, dash],
+      [fields.statsAvgFull, dash], [fields.statsAvgSpa, dash], [fields.statsAvgHash, dash]
+    ], { flash: false });
+    fields.statsPaths?.replaceChildren();
+    return;
+  }
+
+  const { views = 0, counts = {}, averages = {}, topPaths = [], pathCount = 0 } = stats;
+  multiSet([
+    [fields.statsViews, `${views} ${views === 1 ? "view" : "views"}`],
+    [fields.statsAll, counts.totals?.all ?? 0],
+    [fields.statsAvg, averages.all ?? 0],
+    [fields.statsAvgFull, averages.full ?? 0],
+    [fields.statsAvgSpa, averages.spa ?? 0],
+    [fields.statsAvgHash, averages.hash ?? 0]
+  ], { flash: false });
+
+  if (fields.statsPaths) {
+    fields.statsPaths.replaceChildren(...topPaths.map((row) => {
+      const li = document.createElement("li");
+      li.title = `${row.path}\nViews started here: ${row.views}\nArrivals: ${row.arrivals} (Full ${row.full}, History API ${row.spa}, Anchor ${row.hash})`;
+      const path = document.createElement("span");
+      path.className = "stats-path";
+      path.textContent = row.path;
+      const n = document.createElement("span");
+      n.textContent = `${row.views} / ${row.arrivals}`;
+      li.append(path, n);
+      return li;
+    }));
+    fields.statsPaths.title = `Top ${topPaths.length} of ${pathCount} paths — views started / arrivals`;
+  }
+}
+
+/* ---------------- Navigation timing ---------------- */
+
+const TIMING_KIND_LABELS = [["spa", "History API"], ["hash", "Anchor"], ["full", "Full"]];
+
+function timingRow(scope, label, summary) {
+  const li = document.createElement("li");
+  li.title = `${summary.count} ${summary.count === 1 ? "sample" : "samples"}`;
+  const name = document.createElement("span");
+  name.className = "stats-path";
+  name.textContent = `${scope} · ${label}`;
+  const n = document.createElement("span");
+  n.textContent = `${summary.p50} / ${summary.p95} ms`;
+  li.append(name, n);
+  return li;
+}
+
+function renderTiming(timing, route) {
+  if (!fields.timingRows) {
+    return;
+  }
+  const rows = [];
+  let samples = 0;
+  for (const [scope, byKind] of [[route || "Route", timing?.route], ["Origin", timing?.origin]]) {
+    for (const [kind, label] of TIMING_KIND_LABELS) {
+      const summary = byKind?.[kind];
+      if (summary) {
+        rows.push(timingRow(scope, label, summary));
+        if (scope === "Origin") {
+          samples += summary.count;
+        }
+      }
+    }
+  }
+  fields.timingRows.replaceChildren(...rows);
+  setTextWithFlash(fields.timingCount, timing ? `${samples} ${samples === 1 ? "sample" : "samples"}` : "—", { flash: false });
+}
+
+/* ---------------- Suspicious navigations ---------------- */
+
+const ANOMALY_LABELS = { duplicate: "same URL", oscillation: "oscillation", burst: "burst" };
+const MAX_SHOWN_ANOMALIES = 10;
+
+function renderAnomalies(anomalies) {
+  const counts = anomalies?.counts;
+  multiSet([
+    [fields.anomDuplicate, counts ? counts.duplicate ?? 0 : "—"],
+    [fields.anomOscillation, counts ? counts.oscillation ?? 0 : "—"],
+    [fields.anomBurst, counts ? counts.burst ?? 0 : "—"]
+  ], { flash: false });
+  const total = counts ? Object.values(counts).reduce((sum, n) => sum + (Number(n) || 0), 0) : 0;
+  setTextWithFlash(fields.suspiciousCount, counts ? (total ? `⚠ ${total}` : "none") : "—");
+  fields.suspicious?.classList.toggle("has-anomalies", total > 0);
+
+  if (fields.suspiciousList) {
+    const events = (anomalies?.events || []).slice(-MAX_SHOWN_ANOMALIES).reverse();
+    fields.suspiciousList.replaceChildren(...events.map((e) => {
+      const li = document.createElement("li");
+      li.title = `${formatTime(e.at)} · ${e.message}\n${e.url}`;
+      const url = document.createElement("span");
+      url.className = "stats-path";
+      url.textContent = e.url;
+      const type = document.createElement("span");
+      type.textContent = ANOMALY_LABELS[e.type] || e.type;
+      li.append(url, type);
+      return li;
+    }));
+  }
+}
+
+/* ---------------- Test session ---------------- */
+
+const SESSION_OP_SYMBOLS = { equals: "=", min: "≥", max: "≤" };
+
+// Back to the authored shape, for a sidebar opened on a tab that already has a session.
+function specToText(spec) {
+  const expect = {};
+  for (const { counter, op, value } of spec.expect) {
+    expect[counter] = { ...expect[counter], [op]: value };
+  }
+  for (const [counter, rule] of Object.entries(expect)) {
+    if (Object.keys(rule).length === 1 && typeof rule.equals === "number") {
+      expect[counter] = rule.equals;
+    }
+  }
+  const out = { name: spec.name, ...(spec.start ? { start: spec.start } : {}), ...(spec.end ? { end: spec.end } : {}), expect };
+  return JSON.stringify(out, null, 2);
+}
+
+function describeResult(r) {
+  const expected = r.expectedFrom ? `${r.expectedFrom} (${r.expected ?? "?"})` : r.expected;
+  return `${r.counter} = ${r.actual ?? "?"}, expected ${SESSION_OP_SYMBOLS[r.op] || r.op} ${expected}`;
+}
+
+function sessionStatusText(session) {
+  if (!session) {
+    return "—";
+  }
+  const total = session.results.length;
+  const passing = session.results.filter(r => r.pass).length;
+  if (session.state === "waiting") {
+    return `Waiting for ${session.spec.start}`;
+  }
+  if (session.state === "done") {
+    return session.passed ? "Passed" : `Failed ${total - passing} of ${total}`;
+  }
+  return `${session.name} · ${passing}/${total} passing`;
+}
+
+function showSessionErrors(errors) {
+  fields.sessionError.textContent = errors.join("\n");
+  fields.sessionSpec.setAttribute("aria-invalid", errors.length ? "true" : "false");
+}
+
+function renderSession(session, enabled) {
+  if (!fields.sessionResults) {
+    return;
+  }
+  setTextWithFlash(fields.sessionStatus, sessionStatusText(session), { flash: false });
+  if (session && !fields.sessionSpec.value.trim()) {
+    fields.sessionSpec.value = specToText(session.spec);
+  }
+  fields.sessionArm.disabled = !enabled;
+  fields.sessionDisarm.disabled = !session;
+
+  const results = session?.state === "waiting" ? [] : (session?.results || []);
+  fields.sessionResults.replaceChildren(...results.map((r) => {
+    const li = document.createElement("li");
+    li.className = r.pass ? "is-pass" : "is-fail";
+    li.textContent = describeResult(r);
+    return li;
+  }));
+}
+
+/* ---------------- Recordings ---------------- */
+
+let savedRecordings = []; // [{ id, name, createdAt, durationMs, startUrl, steps }] from background
+let recorderView = { recording: null, replay: null }; // of the selected tab
+
+function recorderStatusText({ recording, replay }) {
+  if (replay) {
+    if (replay.state === "running") {
+      return `Replaying ${replay.step}/${replay.total}`;
+    }
+    if (replay.state === "done") {
+      const n = replay.diff.counts.length + replay.diff.steps.reduce((sum, st) => sum + st.differences.length, 0);
+      return replay.diff.same ? "Replay matches" : `Replay: ${n} ${n === 1 ? "difference" : "differences"}`;
+    }
+    return `Replay ${replay.state}`;
+  }
+  if (recording) {
+    return `● Recording · ${recording.steps} ${recording.steps === 1 ? "change" : "changes"}`;
+  }
+  return savedRecordings.length ? `${savedRecordings.length} saved` : "—";
+}
+
+function describeDifference(d) {
+  if (d.field === "step") {
+    return d.original ? "missing in the replay" : `extra in the replay (${d.replay})`;
+  }
+  return `${d.field} ${JSON.stringify(d.original)} → ${JSON.stringify(d.replay)}`;
+}
+
+function diffItem(text, pass) {
+  const li = document.createElement("li");
+  li.className = pass ? "is-pass" : "is-fail";
+  li.textContent = text;
+  return li;
+}
+
+function renderReplayDiff(replay) {
+  const diff = replay?.state === "done" ? replay.diff : null;
+  if (!diff) {
+    fields.replayDiff.replaceChildren();
+    return;
+  }
+  if (diff.same) {
+    fields.replayDiff.replaceChildren(diffItem(`${replay.name}: counts and metadata match the recording`, true));
+    return;
+  }
+  fields.replayDiff.replaceChildren(
+    ...diff.counts.map(c => diffItem(`${c.counter} ${c.original} → ${c.replay}`, false)),
+    ...diff.steps.flatMap(st => st.differences.map(d =>
+      diffItem(`${st.index ? `Step ${st.index}` : "Start"} ${st.url}: ${describeDifference(d)}`, false)))
+  );
+}
+
+function renderRecordingList() {
+  if (!fields.recordingList) {
+    return;
+  }
+  fields.recordingList.replaceChildren(...savedRecordings.map((rec) => {
+    const li = document.createElement("li");
+
+    const label = document.createElement("span");
+    label.className = "recording-label";
+    label.textContent = rec.name;
+    label.title = rec.startUrl;
+
+    const meta = document.createElement("span");
+    meta.className = "recording-meta";
+    meta.textContent = `${rec.steps} · ${new Date(rec.createdAt).toLocaleDateString()}`;
+    meta.title = `${rec.steps} changes in ${Math.round(rec.durationMs / 1000)} s, recorded ${new Date(rec.createdAt).toLocaleString()}`;
+
+    const replay = document.createElement("button");
+    replay.textContent = "Replay";
+    replay.title = "Replay into a new tab and compare";
+    replay.addEventListener("click", () => {
+      browser.runtime.sendMessage({ type: "replay-recording", id: rec.id }).catch(() => {});
+    });
+
+    const remove = document.createElement("button");
+    remove.textContent = "✕";
+    remove.title = "Delete this recording";
+    remove.addEventListener("click", () => {
+      browser.runtime.sendMessage({ type: "delete-recording", id: rec.id }).catch(() => {});
+    });
+
+    li.append(label, meta, replay, remove);
+    return li;
+  }));
+}
+
+function renderRecorder(recording, replay, enabled) {
+  if (!fields.recordingList) {
+    return;
+  }
+  recorderView = { recording, replay };
+  setTextWithFlash(fields.recorderStatus, recorderStatusText(recorderView), { flash: false });
+  const replaying = ["loading", "running"].includes(replay?.state);
+  fields.recordStart.disabled = !enabled || !!recording || replaying;
+  fields.recordStop.disabled = !recording && !replaying;
+  fields.recordError.textContent = replay?.state === "failed" ? `Replay failed: ${replay.error || "unknown error"}` : "";
+  renderReplayDiff(replay);
+}
+
+/* ---------------- Checkpoints ---------------- */
+
+let checkpointList = []; // [{ id, name, createdAt, origin, url, changes }] from background
+let comparedCheckpoint = null; // the full checkpoint picked in the select
+
+function renderCheckpointOptions() {
+  const selected = fields.checkpointSelect.value;
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Compare with…";
+  fields.checkpointSelect.replaceChildren(placeholder, ...checkpointList.map((cp) => {
+    const opt = document.createElement("option");
+    opt.value = cp.id;
+    opt.textContent = `${cp.name} · ${new Date(cp.createdAt).toLocaleString()}`;
+    opt.title = `${cp.url}\n${cp.changes} changes`;
+    return opt;
+  }));
+  fields.checkpointSelect.value = checkpointList.some(cp => cp.id === selected) ? selected : "";
+  if (!fields.checkpointSelect.value) {
+    comparedCheckpoint = null;
+  }
+  fields.checkpointDelete.disabled = !fields.checkpointSelect.value;
+}
+
+// The snapshot the cards show, if they show data at all (see renderSnapshot)
+function shownSnapshot() {
+  return lastSnapshot?.hasPermission && currentTrackingState !== "off" ? lastSnapshot : null;
+}
+
+function compareCell(text, className) {
+  const div = document.createElement("div");
+  div.className = className;
+  div.textContent = text;
+  return div;
+}
+
+function compareSection(label, rows) {
+  if (!rows.length) {
+    return [];
+  }
+  return [
+    compareCell(label, "compare-section"),
+    ...rows.flatMap(([before, after]) => [compareCell(before, "compare-cell is-before"), compareCell(after, "compare-cell")])
+  ];
+}
+
+function describeEntry(e) {
+  return `${formatTime(e.at)} ${SOURCE_LABELS[e.source] || e.source} ${e.to}`;
+}
+
+// Checkpoint on the left, the tab as it is now on the right; only what differs is listed.
+function renderComparison(snap, enabled) {
+  if (!fields.compareView) {
+    return;
+  }
+  fields.checkpointSave.disabled = !enabled;
+  if (!comparedCheckpoint || !snap) {
+    fields.compareView.replaceChildren();
+    setTextWithFlash(fields.checkpointStatus, checkpointList.length ? `${checkpointList.length} saved` : "—", { flash: false });
+    return;
+  }
+
+  const cp = comparedCheckpoint;
+  const result = compareCheckpoint(cp, { counts: snap.counts, ids: snap.ids, timeline: snap.timeline || [] });
+  setTextWithFlash(fields.checkpointStatus, result.same
+    ? "Same as checkpoint"
+    : `${result.counters.length} counters · ${result.ids.length} ids · +${result.added.length} / −${result.removed.length} changes`, { flash: false });
+
+  const delta = (r) => `${r.after - r.before > 0 ? "+" : ""}${r.after - r.before}`;
+  fields.compareView.replaceChildren(
+    compareCell(cp.name, "compare-head"),
+    compareCell("Now", "compare-head"),
+    ...(result.same ? [compareCell("No differences", "compare-section")] : []),
+    ...compareSection("Counters", result.counters.map(r => [`${r.counter} ${r.before}`, `${r.counter} ${r.after} (${delta(r)})`])),
+    ...compareSection("Identifiers", result.ids.map(r => [`${r.key}: ${r.before || "(none)"}`, `${r.key}: ${r.after || "(none)"}`])),
+    ...compareSection("Added changes", result.added.map(e => ["", describeEntry(e)])),
+    ...compareSection("Removed changes", result.removed.map(e => [describeEntry(e), ""]))
+  );
+  fields.compareView.firstChild.title = `${cp.url}\nSaved ${new Date(cp.createdAt).toLocaleString()}`;
+}
+
+/* ---------------- JSON-LD entities ---------------- */
+
+function entityField(label, value) {
+  const div = document.createElement("div");
+  div.className = "entity-field mono";
+  const b = document.createElement("b");
+  b.textContent = `${label} `;
+  div.append(b, value);
+  return div;
+}
+
+function renderEntities(entities, entityCounts) {
+  const list = Array.isArray(entities) ? entities : [];
+  const counts = entityCounts || {};
+  setText(fields.entitiesCount, entities ? `${list.length} ${list.length === 1 ? "entity" : "entities"}` : "—");
+  if (!fields.entityList) {
+    return;
+  }
+  fields.entityList.replaceChildren(...list.map((e) => {
+    const li = document.createElement("li");
+    li.className = "entity-item";
+
+    const head = document.createElement("div");
+    head.className = "entity-head";
+    const type = document.createElement("span");
+    type.textContent = e.type;
+    type.title = e.key;
+    const n = document.createElement("span");
+    n.className = "meta-count";
+    n.textContent = String(counts[e.key] ?? 0);
+    n.title = "Changes since baseline";
+    head.append(type, n);
+    li.append(head);
+
+    if (e.id) {
+      li.append(entityField("@id", e.id));
+    }
+    if (e.url) {
+      li.append(entityField("url", e.url));
+    }
+    if (e.mainEntityOfPage) {
+      li.append(entityField("mainEntityOfPage", e.mainEntityOfPage));
+    }
+    return li;
+  }));
+}
+
 /* ---------------- Rendering (supported pages) ---------------- */
 
-function renderCounters(counts) {
+function renderCounters(counts, enabled = currentTrackingEnabled !== false) {
   const { totals = {}, dims = {} } = counts || {};
-  if (currentTrackingEnabled === false) {
+  if (!enabled) {
     multiSet([
-      [fields.all, "—"], [fields.full, "—"], [fields.spa, "—"],
-      [fields.path, "—"], [fields.query, "—"], [fields.frag, "—"]
+      [fields.all, "—"], [fields.full, "—"], [fields.spa, "—"], [fields.hash, "—"],
+      [fields.path, "—"], [fields.query, "—"], [fields.frag, "—"], [fields.routeCount, "—"],
+      ...BREAKDOWN.map(([el]) => [el, "—"])
     ], { flash: false });
     return;
   }
@@ -203,46 +906,134 @@ function renderCounters(counts) {
     [fields.all, totals.all ?? 0],
     [fields.full, totals.full ?? 0],
     [fields.spa, totals.spa ?? 0],
+    [fields.hash, totals.hash ?? 0],
     [fields.path, dims.path ?? 0],
     [fields.query, dims.query ?? 0],
-    [fields.frag, dims.fragment ?? 0]
+    [fields.frag, dims.fragment ?? 0],
+    [fields.routeCount, dims.route ?? 0],
+    ...BREAKDOWN.map(([el, group, key]) => [el, counts?.[group]?.[key] ?? 0])
   ]);
 }
 
-function renderMetadataTrackingOn({ url, origin, counts, ids }) {
+// "3 · 812 ms" once the live observer has timed a change of this identifier.
+function idCountText(count, lag) {
+  return lag?.samples ? `${count} · ${lag.last} ms` : count;
+}
+
+function idLagTitle(label, lag) {
+  if (!lag?.samples) {
+    return `${label}: changes since baseline`;
+  }
+  const avg = Math.round(lag.total / lag.samples);
+  return `${label}: changes since baseline\nLast change ${lag.last} ms after the URL change`
+    + ` (avg ${avg} ms, max ${lag.max} ms over ${lag.samples})\nNegative values: metadata changed before the URL`;
+}
+
+function renderMetadataTrackingOn({ url, origin, route, counts, ids, idLags }) {
   setTextWithFlash(fields.coreOrigin, origin || "(none)");
   setTextWithFlash(fields.coreUrl, url || "(none)");
+  setTextWithFlash(fields.routeName, route || "");
+  if (fields.routeName) {
+    fields.routeName.title = route ? `Route: ${route}` : "Route";
+  }
 
-  const canonical = ids?.canonical || "(none)";
-  const ogUrl     = ids?.ogUrl     || "(none)";
-  const jsonId    = ids?.jsonLdId  || "(none)";
-  const idCounts  = counts?.ids || {};
+  const idCounts = counts?.ids || {};
+  multiSet(ID_CARDS.map(([key, el]) => [el, ids?.[key] || "(none)"]));
+  multiSet(ID_CARDS.map(([key, , countEl]) => [countEl, idCountText(idCounts[key] ?? 0, idLags?.[key])]));
+  for (const [key, , countEl, label] of ID_CARDS) {
+    if (countEl) {
+      countEl.title = idLagTitle(label, idLags?.[key]);
+    }
+  }
+}
 
-  multiSet([[fields.canonUrl, canonical], [fields.ogUrl, ogUrl], [fields.jsonId, jsonId]]);
-  multiSet([[fields.canonCount, idCounts.canonical ?? 0], [fields.ogCount, idCounts.ogUrl ?? 0], [fields.jsonCount, idCounts.jsonLdId ?? 0]]);
+function renderWarnings(warnings) {
+  const list = Array.isArray(warnings) ? warnings : [];
+  for (const [field, el] of Object.entries(WARNING_CHIPS)) {
+    if (!el) {
+      continue;
+    }
+    el.replaceChildren(...list.filter(w => w.field === field).map((w) => {
+      const chip = document.createElement("span");
+      chip.className = "warn-chip";
+      chip.textContent = `⚠ ${WARNING_LABELS[w.rule] || w.rule}`;
+      chip.title = w.message;
+      return chip;
+    }));
+  }
 }
 
 function renderMetadataTrackingOff(origin) {
   setTextWithFlash(fields.coreOrigin, origin || "(none)", { flash: false });
   const off = "(tracking off)";
-  multiSet([[fields.coreUrl, off], [fields.canonUrl, off], [fields.ogUrl, off], [fields.jsonId, off]], { flash: false });
+  multiSet([[fields.coreUrl, off], [fields.routeName, ""], ...ID_CARDS.map(([, el]) => [el, off])], { flash: false });
+}
+
+/* ---------------- Frames ---------------- */
+
+function frameLabel(f) {
+  const total = f.counts?.totals?.all ?? 0;
+  return `Frame ${f.frameId} · ${f.origin}${f.route ? ` ${f.route}` : ""} (${total})`;
+}
+
+// Rebuilds the selector and returns the selected frame, or null for the top document.
+function renderFrameSelect(frames) {
+  const list = Array.isArray(frames) ? frames : [];
+  fields.frameRow?.classList.toggle("is-hidden", list.length === 0);
+  if (!list.some(f => f.key === selectedFrameKey)) {
+    selectedFrameKey = "";
+  }
+  if (fields.frameSelect) {
+    const top = new Option("Top document", "");
+    fields.frameSelect.replaceChildren(top, ...list.map(f => new Option(frameLabel(f), f.key)));
+    fields.frameSelect.value = selectedFrameKey;
+  }
+  return list.find(f => f.key === selectedFrameKey) || null;
+}
+
+// Frames only have URL counters; metadata, stats and warnings belong to the top document.
+function renderFrame(frame) {
+  renderCounters(frame.counts, true);
+  renderTimeline(frame.timeline);
+  renderOriginStats(null);
+  renderEntities(null);
+  renderWarnings(null);
+  setTextWithFlash(fields.coreOrigin, frame.origin || "(none)");
+  setTextWithFlash(fields.coreUrl, frame.url || "(none)");
+  setTextWithFlash(fields.routeName, frame.route || "");
+  multiSet(ID_CARDS.map(([, el]) => [el, "(top document only)"]), { flash: false });
+  multiSet(ID_CARDS.map(([, , countEl]) => [countEl, "—"]), { flash: false });
 }
 
 function renderSnapshot(snap) {
   currentTrackingEnabled = !!snap.trackingEnabled;
+  currentTrackingState = TRACKING_STATES.includes(snap.trackingState) ? snap.trackingState : "off";
+  lastSnapshot = snap;
 
   const originTxt = snap.origin || "";
   const isHttp = isHttpOriginText(originTxt);
-  if (fields.trackToggle) {
-    fields.trackToggle.disabled = !isHttp;
-    fields.trackToggle.checked = currentTrackingEnabled;
-  }
-  if (fields.trackStatus) {
-    setText(fields.trackStatus, currentTrackingEnabled ? "On" : "Off");
+  setTrackControl(currentTrackingState, { disabled: !isHttp, note: trackingNote(snap) });
+
+  // Paused origins keep their (frozen) numbers on screen
+  const showData = currentTrackingState !== "off" && !!snap.hasPermission;
+
+  const frame = renderFrameSelect(snap.frames);
+  if (frame) {
+    renderFrame(frame);
+    return;
   }
 
-  renderCounters(snap.counts);
-  if (currentTrackingEnabled) {
+  renderCounters(snap.counts, showData);
+  renderTimeline(showData ? snap.timeline : []);
+  renderOriginStats(showData ? snap.originStats : null);
+  renderTiming(showData ? snap.timing : null, snap.route);
+  renderAnomalies(showData ? snap.anomalies : null);
+  renderSession(snap.session, !!snap.trackingEnabled);
+  renderRecorder(snap.recording, snap.replay, !!snap.trackingEnabled);
+  renderComparison(showData ? snap : null, !!snap.trackingEnabled);
+  renderEntities(showData ? snap.entities : null, snap.entityCounts);
+  renderWarnings(showData ? snap.warnings : null);
+  if (showData) {
     renderMetadataTrackingOn(snap);
   } else {
     renderMetadataTrackingOff(snap.origin);
@@ -281,6 +1072,9 @@ async function showLiveForActiveTab({ optimistic = false } = {}) {
   if (!active) {
     return;
   }
+  if (selectedTabId !== active.id) {
+    selectedFrameKey = "";
+  }
   selectedTabId = active.id;
 
   setTabTitleEl(active);
@@ -305,7 +1099,7 @@ async function showLiveForActiveTab({ optimistic = false } = {}) {
   clearUnavailableUI();
 
   if (currentTrackingEnabled === null || optimistic === false) {
-    multiSet([[fields.coreUrl, "(loading…)"], [fields.canonUrl, "(loading…)"], [fields.ogUrl, "(loading…)"], [fields.jsonId, "(loading…)"]], { flash: false });
+    multiSet([[fields.coreUrl, "(loading…)"], ...ID_CARDS.map(([, el]) => [el, "(loading…)"])], { flash: false });
   }
 
   showLiveBadge();
@@ -326,8 +1120,157 @@ function showToast(message, ms = 1800) {
   }, ms);
 }
 
+/* ---------------- Export ---------------- */
+
+function downloadText(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function saveExport(snap) {
+  const format = EXPORT_FORMATS[snap.format] ? snap.format : "json";
+  const text = formatExport(snap, format, { creatorVersion: browser.runtime.getManifest().version });
+  downloadText(exportFilename(snap, format), text, EXPORT_FORMATS[format].mime);
+  showToast(`Exported ${(snap.timeline || []).length} changes`);
+}
+
+/* ---------------- Extension pages ---------------- */
+
+// Reuse an open dashboard / origins tab rather than stacking new ones.
+async function openExtensionPage(page) {
+  const url = browser.runtime.getURL(page);
+  try {
+    const [existing] = await browser.tabs.query({ url });
+    if (existing) {
+      await browser.tabs.update(existing.id, { active: true });
+      await browser.windows.update(existing.windowId, { focused: true });
+      return;
+    }
+    await browser.tabs.create({ url });
+  } catch {
+    // ignore
+  }
+}
+
 /* ---------------- Events ---------------- */
 
+if (fields.frameSelect) {
+  fields.frameSelect.addEventListener("change", () => {
+    selectedFrameKey = fields.frameSelect.value;
+    if (lastSnapshot && lastSnapshot.tabId === selectedTabId) {
+      renderSnapshot(lastSnapshot);
+    }
+  });
+}
+
+if (fields.openDashboard) {
+  fields.openDashboard.addEventListener("click", () => {
+    openExtensionPage("dashboard.html");
+  });
+}
+
+if (fields.openOrigins) {
+  fields.openOrigins.addEventListener("click", () => {
+    openExtensionPage("origins.html");
+  });
+}
+
+if (fields.openOptions) {
+  fields.openOptions.addEventListener("click", () => {
+    browser.runtime.openOptionsPage().catch(() => {});
+  });
+}
+
+if (fields.exportBtn) {
+  fields.exportBtn.addEventListener("click", () => {
+    if (fields.exportBtn.disabled || !Number.isFinite(selectedTabId)) {
+      return;
+    }
+    pendingExportId = `${Date.now()}-${Math.random().toString(16).slice(2)}`;
+    const format = fields.exportFormat?.value || "json";
+    browser.runtime.sendMessage({ type: "export-state", tabId: selectedTabId, format, requestId: pendingExportId }).catch(() => {});
+  });
+}
+
+if (fields.sessionArm) {
+  fields.sessionArm.addEventListener("click", () => {
+    if (!Number.isFinite(selectedTabId)) {
+      return;
+    }
+    const { spec, errors } = parseSessionSpec(fields.sessionSpec.value);
+    showSessionErrors(errors);
+    if (!spec) {
+      return;
+    }
+    // The background checks the authored spec again
+    browser.runtime.sendMessage({ type: "arm-session", tabId: selectedTabId, spec: JSON.parse(fields.sessionSpec.value) }).catch(() => {});
+  });
+
+  fields.sessionDisarm.addEventListener("click", () => {
+    if (Number.isFinite(selectedTabId)) {
+      browser.runtime.sendMessage({ type: "disarm-session", tabId: selectedTabId }).catch(() => {});
+    }
+  });
+
+  fields.sessionSpec.addEventListener("input", () => showSessionErrors([]));
+  fields.sessionLoad.addEventListener("click", () => fields.sessionFile.click());
+  fields.sessionFile.addEventListener("change", async () => {
+    const file = fields.sessionFile.files?.[0];
+    if (!file) {
+      return;
+    }
+    fields.sessionSpec.value = await file.text();
+    fields.sessionFile.value = "";
+    showSessionErrors(parseSessionSpec(fields.sessionSpec.value).errors);
+  });
+}
+
+if (fields.recordStart) {
+  fields.recordStart.addEventListener("click", () => {
+    if (Number.isFinite(selectedTabId)) {
+      browser.runtime.sendMessage({ type: "start-recording", tabId: selectedTabId, name: fields.recordName.value }).catch(() => {});
+    }
+  });
+
+  // Also cancels a replay running in this tab
+  fields.recordStop.addEventListener("click", () => {
+    if (Number.isFinite(selectedTabId)) {
+      browser.runtime.sendMessage({ type: "stop-recording", tabId: selectedTabId }).catch(() => {});
+    }
+  });
+}
+
+if (fields.checkpointSave) {
+  fields.checkpointSave.addEventListener("click", () => {
+    if (Number.isFinite(selectedTabId)) {
+      browser.runtime.sendMessage({ type: "save-checkpoint", tabId: selectedTabId, name: fields.checkpointName.value }).catch(() => {});
+    }
+  });
+
+  fields.checkpointSelect.addEventListener("change", () => {
+    const id = fields.checkpointSelect.value;
+    comparedCheckpoint = null;
+    fields.checkpointDelete.disabled = !id;
+    renderComparison(null, currentTrackingEnabled === true);
+    if (id) {
+      browser.runtime.sendMessage({ type: "get-checkpoint", id }).catch(() => {});
+    }
+  });
+
+  fields.checkpointDelete.addEventListener("click", () => {
+    const id = fields.checkpointSelect.value;
+    if (id) {
+      browser.runtime.sendMessage({ type: "delete-checkpoint", id }).catch(() => {});
+    }
+  });
+}
+
 if (fields.resetBtn) {
   fields.resetBtn.addEventListener("click", async () => {
     if (fields.resetBtn.disabled) {
@@ -338,8 +1281,11 @@ if (fields.resetBtn) {
       return;
     }
 
-    multiSet([[fields.all, 0], [fields.full, 0], [fields.spa, 0], [fields.path, 0], [fields.query, 0], [fields.frag, 0]], { flash: false });
-    multiSet([[fields.canonUrl, "(loading…)"], [fields.ogUrl, "(loading…)"], [fields.jsonId, "(loading…)"], [fields.canonCount, 0], [fields.ogCount, 0], [fields.jsonCount, 0]], { flash: false });
+    multiSet([[fields.all, 0], [fields.full, 0], [fields.spa, 0], [fields.hash, 0], [fields.path, 0], [fields.query, 0], [fields.frag, 0], [fields.routeCount, 0]], { flash: false });
+    multiSet(BREAKDOWN.map(([el]) => [el, 0]), { flash: false });
+    multiSet(ID_CARDS.flatMap(([, el, countEl]) => [[el, "(loading…)"], [countEl, 0]]), { flash: false });
+    renderEntities([]);
+    renderTimeline([]);
 
     try {
       await browser.runtime.sendMessage({ type: "manual-reset", tabId });
@@ -362,17 +1308,56 @@ browser.runtime.onMessage.addListener((msg, sender) => {
   if (msg.type === "set-tracking-result") {
     const originText = fields.coreOrigin?.textContent || "";
     if (msg.origin === originText) {
-      const ok = !!msg.enabled;
-      if (fields.trackToggle) {
-        fields.trackToggle.checked = ok;
+      const state = TRACKING_STATES.includes(msg.state) ? msg.state : "off";
+      setTrackControl(state);
+      if (state === "off") {
+        showToast("Tracking off · permission revoked");
+      } else if (state === "paused") {
+        showToast("Tracking paused");
       }
-      if (fields.trackStatus) {
-        setText(fields.trackStatus, ok ? "On" : "Off");
-      }
-      if (!ok) {
-        showToast("Permission revoked");
-      }
-      browser.runtime.sendMessage({ type: "get-state" }).catch(() => {});
+      browser.runtime.sendMessage({ type: "get-state", tabId: selectedTabId }).catch(() => {});
+    }
+    return;
+  }
+
+  if (msg.type === "recordings") {
+    savedRecordings = Array.isArray(msg.recordings) ? msg.recordings : [];
+    renderRecordingList();
+    if (fields.recorderStatus) {
+      setTextWithFlash(fields.recorderStatus, recorderStatusText(recorderView), { flash: false });
+    }
+    return;
+  }
+
+  if (msg.type === "checkpoints") {
+    checkpointList = Array.isArray(msg.checkpoints) ? msg.checkpoints : [];
+    if (fields.checkpointSelect) {
+      renderCheckpointOptions();
+      renderComparison(shownSnapshot(), currentTrackingEnabled === true);
+    }
+    if (msg.savedId) {
+      showToast("Checkpoint saved");
+    }
+    return;
+  }
+
+  if (msg.type === "checkpoint") {
+    if (fields.checkpointSelect && msg.checkpoint?.id === fields.checkpointSelect.value) {
+      comparedCheckpoint = msg.checkpoint;
+      renderComparison(shownSnapshot(), currentTrackingEnabled === true);
+    }
+    return;
+  }
+
+  if (msg.type === "replay-error") {
+    showToast("Turn tracking on for the recording's origin to replay it");
+    return;
+  }
+
+  if (msg.type === "export-snapshot") {
+    if (msg.requestId && msg.requestId === pendingExportId) {
+      pendingExportId = null;
+      saveExport(msg);
     }
     return;
   }
@@ -392,13 +1377,13 @@ browser.runtime.onMessage.addListener((msg, sender) => {
     showSyncedBadge();
   };
 
-  if (elapsed >= MIN_LIVE_MS) {
+  if (elapsed >= minLiveMs) {
     doRender();
   } else {
     if (flipTimer) {
       clearTimeout(flipTimer);
     }
-    flipTimer = setTimeout(doRender, MIN_LIVE_MS - elapsed);
+    flipTimer = setTimeout(doRender, minLiveMs - elapsed);
   }
 });
 
@@ -469,75 +1454,50 @@ browser.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   }
 });
 
-/* ---- Tracking toggle: request host permission on "On", revoke on "Off" ---- */
+/* ---- Tracking control: "On" requests host permission; background stores the state ---- */
 
-if (fields.trackToggle) {
-  fields.trackToggle.addEventListener("change", async () => {
+if (fields.trackState) {
+  fields.trackState.addEventListener("change", async (e) => {
+    const state = e.target?.value;
     const origin = fields.coreOrigin?.textContent || "";
-    if (!isHttpOriginText(origin)) {
-      fields.trackToggle.checked = false;
-      if (fields.trackStatus) {
-        setText(fields.trackStatus, "Off");
-      }
+    const previous = currentTrackingState || "off";
+    if (!isHttpOriginText(origin) || !TRACKING_STATES.includes(state)) {
+      setTrackControl(previous);
       return;
     }
 
-    const enabling = !!fields.trackToggle.checked;
-
-    if (enabling) {
-      const pattern = patternForOriginText(origin);
-      if (!pattern) {
-        return;
-      }
+    // The door-hanger must open straight from the user's click; an origin group asks for all its members
+    if (state === "on") {
+      const scope = lastSnapshot?.origin === origin ? lastSnapshot.scope : null;
+      const patterns = scope?.patterns?.length ? scope.patterns : [patternForOriginText(origin)].filter(Boolean);
+      let granted = false;
       try {
-        const granted = await browser.permissions.request({ origins: [pattern] });
-        if (!granted) {
-          fields.trackToggle.checked = false;
-          if (fields.trackStatus) {
-            setText(fields.trackStatus, "Off");
-          }
-          browser.runtime.sendMessage({ type: "set-tracking", origin, enabled: false }).catch(() => {});
-          return;
-        }
+        granted = patterns.length > 0 && await browser.permissions.request({ origins: patterns });
       } catch {
-        fields.trackToggle.checked = false;
-        if (fields.trackStatus) {
-          setText(fields.trackStatus, "Off");
-        }
-        return;
-      }
-
-      if (fields.trackStatus) {
-        setText(fields.trackStatus, "On");
+        granted = false;
       }
-      currentTrackingEnabled = null;
-      browser.runtime.sendMessage({ type: "set-tracking", origin, enabled: true }).catch(() => {});
-      browser.runtime.sendMessage({ type: "get-state" }).catch(() => {});
-      return;
-    }
-
-    try {
-      const pattern = patternForOriginText(origin);
-      if (pattern) {
-        await browser.permissions.remove({ origins: [pattern] }).catch(() => {});
+      if (!granted) {
+        setTrackControl(previous);
+        showToast("Permission not granted");
+        return;
       }
-    } catch {
-      // ignore
     }
 
-    if (fields.trackStatus) {
-      setText(fields.trackStatus, "Off");
-    }
-    showToast("Permission revoked");
     currentTrackingEnabled = null;
-    browser.runtime.sendMessage({ type: "set-tracking", origin, enabled: false }).catch(() => {});
-    browser.runtime.sendMessage({ type: "get-state" }).catch(() => {});
+    browser.runtime.sendMessage({ type: "set-tracking", origin, state, tabId: selectedTabId }).catch(() => {});
   });
 }
 
 /* -------------------------------- Boot -------------------------------- */
 
+watchPrefs((next) => {
+  minLiveMs = next.minLiveMs;
+});
+
 (async function init() {
+  minLiveMs = (await loadPrefs()).minLiveMs;
   await showLiveForActiveTab({ optimistic: false });
+  browser.runtime.sendMessage({ type: "get-recordings" }).catch(() => {});
+  browser.runtime.sendMessage({ type: "get-checkpoints" }).catch(() => {});
 })();
 
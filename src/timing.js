@@ -0,0 +1,77 @@
+// timing.js — navigation timing samples per origin and route, and their percentiles.
+// Pure functions used by background.js; samples are milliseconds.
+
+export const NAV_TIMINGS_KEY = "navTimings"; // storage.local: { [origin]: { [route]: { [kind]: number[], updatedAt } } }
+
+// "spa" / "hash": History API or anchor change until the DOM went quiet.
+// "full": full load, navigation start until the load event ended.
+export const TIMING_KINDS = ["spa", "hash", "full"];
+
+// Newest samples kept per route and kind
+const MAX_SAMPLES = 100;
+// Routes kept per origin; unnormalized paths would otherwise grow the stored map without bound
+const MAX_ROUTES = 200;
+
+// Drops the least recently updated routes beyond MAX_ROUTES.
+function trimRoutes(entry) {
+  const routes = Object.keys(entry);
+  if (routes.length <= MAX_ROUTES) {
+    return;
+  }
+  routes.sort((a, b) => (entry[a].updatedAt || 0) - (entry[b].updatedAt || 0));
+  for (const route of routes.slice(0, routes.length - MAX_ROUTES)) {
+    delete entry[route];
+  }
+}
+
+// Adds one sample taken at `now` to an origin's entry (created when missing) and returns the entry.
+export function addTimingSample(entry, route, kind, ms, now) {
+  const out = entry || {};
+  if (!TIMING_KINDS.includes(kind) || !Number.isFinite(ms) || ms < 0) {
+    return out;
+  }
+  const byKind = out[route] || (out[route] = {});
+  const samples = byKind[kind] || (byKind[kind] = []);
+  samples.push(Math.round(ms));
+  if (samples.length > MAX_SAMPLES) {
+    samples.splice(0, samples.length - MAX_SAMPLES);
+  }
+  byKind.updatedAt = now;
+  trimRoutes(out);
+  return out;
+}
+
+// Nearest-rank percentile of an ascending array.
+function percentile(sorted, p) {
+  if (!sorted.length) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+function summarize(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return { count: sorted.length, p50: percentile(sorted, 50), p95: percentile(sorted, 95) };
+}
+
+function summarizeKinds(routes) {
+  const out = {};
+  for (const kind of TIMING_KINDS) {
+    const samples = routes.flatMap(r => r?.[kind] || []);
+    if (samples.length) {
+      out[kind] = summarize(samples);
+    }
+  }
+  return out;
+}
+
+// { origin: { [kind]: { count, p50, p95 } }, route: { … } } for one origin's entry;
+// kinds without samples are left out.
+export function summarizeTimings(entry, route) {
+  const routes = Object.values(entry || {});
+  return {
+    origin: summarizeKinds(routes),
+    route: route ? summarizeKinds([entry?.[route]]) : {}
+  };
+}